@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+// Retention used until the user changes it. A limit of 0 disables that rule.
+const DEFAULT_RETENTION = {
+    maxCount: 50,
+    maxAgeDays: 30
+};
+
+const RETENTION_FILE_NAME = 'retention.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Timestamped copies of save files, taken before the app overwrites them
+ * Every backup is stored as a copy of the file plus a JSON sidecar with the same ID that records
+ * where the file came from and which operation replaced it.
+ */
+class BackupManager {
+    /**
+     * @param {string} backupDir - Directory that holds the backups, created on first use
+     */
+    constructor(backupDir) {
+        this.backupDir = backupDir;
+        this.retentionPath = path.join(backupDir, RETENTION_FILE_NAME);
+    }
+
+    /**
+     * Copy a file into the backup directory before it is overwritten
+     * @param {string} filePath - File about to be written
+     * @param {string} operation - Name of the operation that writes the file, shown in the restore list
+     * @returns {Object|null} The new backup entry, or null when the file does not exist yet
+     */
+    createBackup(filePath, operation) {
+        try {
+            if (!fs.existsSync(filePath)) {
+                return null;
+            }
+
+            fs.mkdirSync(this.backupDir, { recursive: true });
+
+            const createdAt = new Date();
+            const id = this.createBackupId(createdAt);
+            const entry = {
+                id,
+                fileName: `${id}${path.extname(filePath)}`,
+                sourcePath: path.resolve(filePath),
+                operation,
+                createdAt: createdAt.toISOString(),
+                size: fs.statSync(filePath).size
+            };
+
+            fs.copyFileSync(filePath, path.join(this.backupDir, entry.fileName));
+            fs.writeFileSync(path.join(this.backupDir, `${id}.json`), JSON.stringify(entry, null, 2));
+
+            this.applyRetention();
+
+            return entry;
+        } catch (error) {
+            throw new Error(`Failed to back up ${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a file-name-safe backup ID from a timestamp, unique within the backup directory
+     */
+    createBackupId(date) {
+        const base = date.toISOString().replace(/[:.]/g, '-');
+        let id = base;
+        for (let n = 1; fs.existsSync(path.join(this.backupDir, `${id}.json`)); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * List all backups, newest first
+     * @returns {Array<Object>} Backup entries whose copy is still present
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        const backups = [];
+        for (const name of fs.readdirSync(this.backupDir)) {
+            if (!name.endsWith('.json') || name === RETENTION_FILE_NAME) {
+                continue;
+            }
+
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(this.backupDir, name), 'utf8'));
+                if (fs.existsSync(path.join(this.backupDir, entry.fileName))) {
+                    backups.push(entry);
+                }
+            } catch (error) {
+                // A sidecar that cannot be read does not describe a usable backup
+                continue;
+            }
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    /**
+     * Find a backup by ID
+     * @param {string} id - Backup ID
+     * @returns {Object} Backup entry
+     */
+    getBackup(id) {
+        const entry = this.listBackups().find(backup => backup.id === id);
+        if (!entry) {
+            throw new Error(`Backup ${id} not found`);
+        }
+        return entry;
+    }
+
+    /**
+     * Read the contents of a backup
+     * @param {string} id - Backup ID
+     * @returns {Buffer} The file as it was when the backup was taken
+     */
+    readBackup(id) {
+        const entry = this.getBackup(id);
+        return fs.readFileSync(path.join(this.backupDir, entry.fileName));
+    }
+
+    /**
+     * Remove a backup and its sidecar
+     * @param {string} id - Backup ID
+     */
+    deleteBackup(id) {
+        this.removeBackupFiles(this.getBackup(id));
+    }
+
+    /**
+     * Remove the copy and sidecar of a backup entry
+     */
+    removeBackupFiles(entry) {
+        fs.rmSync(path.join(this.backupDir, entry.fileName), { force: true });
+        fs.rmSync(path.join(this.backupDir, `${entry.id}.json`), { force: true });
+    }
+
+    /**
+     * Read the retention policy
+     * @returns {Object} { maxCount, maxAgeDays }
+     */
+    getRetention() {
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.retentionPath, 'utf8'));
+            return { ...DEFAULT_RETENTION, ...stored };
+        } catch (error) {
+            return { ...DEFAULT_RETENTION };
+        }
+    }
+
+    /**
+     * Change the retention policy and prune backups that fall outside it
+     * @param {Object} retention - { maxCount, maxAgeDays }, 0 disables a limit
+     * @returns {Object} The stored policy
+     */
+    setRetention(retention) {
+        const updated = { ...this.getRetention() };
+        for (const key of Object.keys(DEFAULT_RETENTION)) {
+            if (retention[key] === undefined) {
+                continue;
+            }
+
+            const value = Number(retention[key]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${key} must be a whole number of 0 or more`);
+            }
+            updated[key] = value;
+        }
+
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        fs.writeFileSync(this.retentionPath, JSON.stringify(updated, null, 2));
+        this.applyRetention();
+
+        return updated;
+    }
+
+    /**
+     * Delete backups beyond the configured count or older than the configured age
+     * @returns {number} Number of backups removed
+     */
+    applyRetention() {
+        const { maxCount, maxAgeDays } = this.getRetention();
+        const oldestAllowed = Date.now() - maxAgeDays * DAY_MS;
+
+        const expired = this.listBackups().filter((backup, index) =>
+            (maxCount > 0 && index >= maxCount) ||
+            (maxAgeDays > 0 && Date.parse(backup.createdAt) < oldestAllowed)
+        );
+
+        for (const backup of expired) {
+            this.removeBackupFiles(backup);
+        }
+
+        return expired.length;
+    }
+}
+
+module.exports = BackupManager;
+module.exports.DEFAULT_RETENTION = DEFAULT_RETENTION;
@@ -0,0 +1,330 @@
+// Elden Ring item database
+// Offline lookup table used to name inventory entries and to search items by name.
+// IDs are the base param IDs without the category bits; weapon IDs exclude affinity and upgrade level.
+
+// Item categories with the bits the game adds to item IDs and gaitem handles
+const ITEM_CATEGORIES = {
+    weapon: { label: 'Weapons', idPrefix: 0x00000000, handlePrefix: 0x80000000 },
+    armor: { label: 'Armor', idPrefix: 0x10000000, handlePrefix: 0x90000000 },
+    talisman: { label: 'Talismans', idPrefix: 0x20000000, handlePrefix: 0xA0000000 },
+    item: { label: 'Items', idPrefix: 0x40000000, handlePrefix: 0xB0000000 },
+    ashOfWar: { label: 'Ashes of War', idPrefix: 0x80000000, handlePrefix: 0xC0000000 }
+};
+
+// Weapon affinities, indexed by (itemId % 10000) / 100
+const AFFINITIES = [
+    'Standard', 'Heavy', 'Keen', 'Quality', 'Fire', 'Flame Art', 'Lightning',
+    'Sacred', 'Magic', 'Cold', 'Poison', 'Blood', 'Occult'
+];
+
+const weapon = (id, name, group, options = {}) => ({
+    id,
+    name,
+    category: 'weapon',
+    group,
+    maxHeld: 1,
+    maxStorage: 1,
+    upgrade: options.upgrade || 'normal',
+    unique: options.unique || false,
+    infusable: options.infusable !== undefined ? options.infusable : !options.unique
+});
+
+// Arrows, bolts and their great variants stack like items but live in the weapon param
+const ammunition = (id, name, group) => ({
+    id,
+    name,
+    category: 'weapon',
+    group,
+    maxHeld: 99,
+    maxStorage: 600,
+    upgrade: 'none',
+    unique: false,
+    infusable: false
+});
+
+const armor = (id, name, group) => ({ id, name, category: 'armor', group, maxHeld: 1, maxStorage: 1 });
+
+const talisman = (id, name) => ({ id, name, category: 'talisman', group: 'Talismans', maxHeld: 1, maxStorage: 1 });
+
+const item = (id, name, group, maxHeld, maxStorage) => ({ id, name, category: 'item', group, maxHeld, maxStorage });
+
+// Weapon groups shared by many Ashes of War
+const SWORD_GROUPS = ['Straight Swords', 'Greatswords', 'Colossal Swords', 'Curved Swords', 'Curved Greatswords', 'Katanas'];
+const THRUSTING_GROUPS = ['Thrusting Swords', 'Heavy Thrusting Swords'];
+const HEAVY_GROUPS = ['Axes', 'Greataxes', 'Hammers', 'Great Hammers', 'Colossal Weapons'];
+const POLEARM_GROUPS = ['Spears', 'Great Spears', 'Halberds'];
+
+// An Ash of War fits the weapon groups it lists (canMountWep flags) and allows the listed affinities
+// (configurableWepAttr flags); most physical Ashes allow every affinity.
+const ashOfWar = (id, name, weaponGroups, affinities = AFFINITIES) => ({
+    id,
+    name,
+    category: 'ashOfWar',
+    group: 'Ashes of War',
+    maxHeld: 1,
+    maxStorage: 1,
+    weaponGroups,
+    affinities: affinities.map(affinity => AFFINITIES.indexOf(affinity))
+});
+
+const ITEMS = [
+    // Weapons
+    weapon(1000000, 'Dagger', 'Daggers'),
+    weapon(2000000, 'Longsword', 'Straight Swords'),
+    weapon(2010000, 'Short Sword', 'Straight Swords'),
+    weapon(2020000, 'Broadsword', 'Straight Swords'),
+    weapon(9000000, 'Uchigatana', 'Katanas'),
+    weapon(9010000, 'Nagakiba', 'Katanas'),
+    weapon(9060000, 'Moonveil', 'Katanas', { upgrade: 'somber', unique: true }),
+    weapon(9070000, 'Rivers of Blood', 'Katanas', { upgrade: 'somber', unique: true }),
+    weapon(24000000, 'Torch', 'Torches', { infusable: false }),
+    weapon(33000000, "Astrologer's Staff", 'Glintstone Staffs', { infusable: false }),
+    weapon(34000000, 'Finger Seal', 'Sacred Seals', { infusable: false }),
+    weapon(40000000, 'Shortbow', 'Light Bows'),
+    weapon(40010000, 'Misbegotten Shortbow', 'Light Bows'),
+    weapon(40020000, 'Red Branch Shortbow', 'Light Bows'),
+    weapon(40030000, 'Harp Bow', 'Light Bows'),
+    weapon(40050000, 'Composite Bow', 'Light Bows'),
+    weapon(41000000, 'Longbow', 'Bows'),
+    weapon(41010000, 'Albinauric Bow', 'Bows'),
+    weapon(41020000, 'Black Bow', 'Bows', { upgrade: 'somber', unique: true }),
+    weapon(41030000, 'Pulley Bow', 'Bows'),
+    weapon(41040000, 'Horn Bow', 'Bows', { upgrade: 'somber', unique: true }),
+    weapon(41060000, 'Erdtree Bow', 'Bows', { upgrade: 'somber', unique: true }),
+    weapon(42000000, 'Greatbow', 'Greatbows'),
+    weapon(42010000, 'Golem Greatbow', 'Greatbows'),
+    weapon(42030000, 'Erdtree Greatbow', 'Greatbows', { upgrade: 'somber', unique: true }),
+    weapon(42040000, 'Lion Greatbow', 'Greatbows', { upgrade: 'somber', unique: true }),
+    weapon(43000000, "Soldier's Crossbow", 'Crossbows', { infusable: false }),
+    weapon(43020000, 'Light Crossbow', 'Crossbows', { infusable: false }),
+    weapon(43030000, 'Heavy Crossbow', 'Crossbows', { infusable: false }),
+    weapon(43050000, 'Pulley Crossbow', 'Crossbows', { infusable: false }),
+    weapon(43060000, 'Full Moon Crossbow', 'Crossbows', { infusable: false }),
+    weapon(43080000, 'Arbalest', 'Crossbows', { infusable: false }),
+    weapon(43110000, "Crepus's Black-Key Crossbow", 'Crossbows', { infusable: false }),
+    weapon(44000000, 'Hand Ballista', 'Ballistas', { infusable: false }),
+    weapon(44010000, 'Jar Cannon', 'Ballistas', { infusable: false }),
+
+    // Ammunition
+    ammunition(50000000, 'Arrow', 'Arrows'),
+    ammunition(50010000, 'Fire Arrow', 'Arrows'),
+    ammunition(50020000, 'Serpent Arrow', 'Arrows'),
+    ammunition(50030000, 'Bone Arrow (Fletched)', 'Arrows'),
+    ammunition(50040000, "St. Trina's Arrow", 'Arrows'),
+    ammunition(50060000, 'Shattershard Arrow (Fletched)', 'Arrows'),
+    ammunition(50080000, 'Rainbow Stone Arrow (Fletched)', 'Arrows'),
+    ammunition(50090000, 'Golden Arrow', 'Arrows'),
+    ammunition(50100000, 'Dwelling Arrow', 'Arrows'),
+    ammunition(50110000, 'Bone Arrow', 'Arrows'),
+    ammunition(51000000, 'Great Arrow', 'Greatarrows'),
+    ammunition(51010000, "Golem's Great Arrow", 'Greatarrows'),
+    ammunition(51020000, 'Golden Great Arrow', 'Greatarrows'),
+    ammunition(51030000, "Radahn's Spear", 'Greatarrows'),
+    ammunition(51040000, 'Bone Great Arrow (Fletched)', 'Greatarrows'),
+    ammunition(51050000, 'Bone Great Arrow', 'Greatarrows'),
+    ammunition(52000000, 'Bolt', 'Bolts'),
+    ammunition(52010000, "Perfumer's Bolt", 'Bolts'),
+    ammunition(52020000, 'Black-Key Bolt', 'Bolts'),
+    ammunition(52030000, 'Burred Bolt', 'Bolts'),
+    ammunition(52040000, 'Meteoric Ore Bolt', 'Bolts'),
+    ammunition(52050000, "Lordsworn's Bolt", 'Bolts'),
+    ammunition(52060000, 'Bone Bolt', 'Bolts'),
+    ammunition(53000000, 'Ballista Bolt', 'Greatbolts'),
+    ammunition(53010000, 'Lightning Greatbolt', 'Greatbolts'),
+    ammunition(53020000, 'Explosive Greatbolt', 'Greatbolts'),
+    ammunition(53030000, 'Bone Ballista Bolt', 'Greatbolts'),
+
+    // Armor
+    armor(40000, 'Vagabond Knight Helm', 'Helms'),
+    armor(40100, 'Vagabond Knight Armor', 'Chest Armor'),
+    armor(40200, 'Vagabond Knight Gauntlets', 'Gauntlets'),
+    armor(40300, 'Vagabond Knight Greaves', 'Leg Armor'),
+
+    // Talismans
+    talisman(1000, 'Crimson Amber Medallion'),
+    talisman(1001, 'Crimson Amber Medallion +1'),
+    talisman(1002, 'Crimson Amber Medallion +2'),
+    talisman(1010, 'Cerulean Amber Medallion'),
+    talisman(1011, 'Cerulean Amber Medallion +1'),
+    talisman(1012, 'Cerulean Amber Medallion +2'),
+    talisman(1020, 'Viridian Amber Medallion'),
+    talisman(1021, 'Viridian Amber Medallion +1'),
+    talisman(1022, 'Viridian Amber Medallion +2'),
+    talisman(1030, 'Arsenal Charm'),
+    talisman(1031, 'Arsenal Charm +1'),
+    talisman(1032, "Great-Jar's Arsenal"),
+    talisman(1040, "Erdtree's Favor"),
+    talisman(1041, "Erdtree's Favor +1"),
+    talisman(1042, "Erdtree's Favor +2"),
+    talisman(1050, "Radagon's Scarseal"),
+    talisman(1051, "Radagon's Soreseal"),
+    talisman(1060, 'Starscourge Heirloom'),
+    talisman(1070, 'Prosthesis-Wearer Heirloom'),
+    talisman(1080, 'Stargazer Heirloom'),
+    talisman(1090, 'Two Fingers Heirloom'),
+
+    // Upgrade materials
+    item(10100, 'Smithing Stone [1]', 'Upgrade Materials', 999, 999),
+    item(10101, 'Smithing Stone [2]', 'Upgrade Materials', 999, 999),
+    item(10102, 'Smithing Stone [3]', 'Upgrade Materials', 999, 999),
+    item(10103, 'Smithing Stone [4]', 'Upgrade Materials', 999, 999),
+    item(10104, 'Smithing Stone [5]', 'Upgrade Materials', 999, 999),
+    item(10105, 'Smithing Stone [6]', 'Upgrade Materials', 999, 999),
+    item(10106, 'Smithing Stone [7]', 'Upgrade Materials', 999, 999),
+    item(10107, 'Smithing Stone [8]', 'Upgrade Materials', 999, 999),
+    item(10140, 'Ancient Dragon Smithing Stone', 'Upgrade Materials', 999, 999),
+    item(10160, 'Somber Smithing Stone [1]', 'Upgrade Materials', 999, 999),
+    item(10161, 'Somber Smithing Stone [2]', 'Upgrade Materials', 999, 999),
+    item(10162, 'Somber Smithing Stone [3]', 'Upgrade Materials', 999, 999),
+    item(10163, 'Somber Smithing Stone [4]', 'Upgrade Materials', 999, 999),
+    item(10164, 'Somber Smithing Stone [5]', 'Upgrade Materials', 999, 999),
+    item(10165, 'Somber Smithing Stone [6]', 'Upgrade Materials', 999, 999),
+    item(10166, 'Somber Smithing Stone [7]', 'Upgrade Materials', 999, 999),
+    item(10167, 'Somber Smithing Stone [8]', 'Upgrade Materials', 999, 999),
+    item(10168, 'Somber Smithing Stone [9]', 'Upgrade Materials', 999, 999),
+    item(10200, 'Somber Ancient Dragon Smithing Stone', 'Upgrade Materials', 999, 999),
+
+    // Consumables
+    item(190, 'Rune Arc', 'Consumables', 99, 600),
+    item(2900, 'Golden Rune [1]', 'Consumables', 99, 600),
+    item(2901, 'Golden Rune [2]', 'Consumables', 99, 600),
+    item(2902, 'Golden Rune [3]', 'Consumables', 99, 600),
+    item(2903, 'Golden Rune [4]', 'Consumables', 99, 600),
+    item(2904, 'Golden Rune [5]', 'Consumables', 99, 600),
+    item(2905, 'Golden Rune [6]', 'Consumables', 99, 600),
+    item(2906, 'Golden Rune [7]', 'Consumables', 99, 600),
+    item(2907, 'Golden Rune [8]', 'Consumables', 99, 600),
+    item(2908, 'Golden Rune [9]', 'Consumables', 99, 600),
+    item(2909, 'Golden Rune [10]', 'Consumables', 99, 600),
+    item(2910, 'Golden Rune [11]', 'Consumables', 99, 600),
+    item(2911, 'Golden Rune [12]', 'Consumables', 99, 600),
+    item(2912, 'Golden Rune [13]', 'Consumables', 99, 600),
+    item(2913, "Numen's Rune", 'Consumables', 99, 600),
+    item(2914, "Hero's Rune [1]", 'Consumables', 99, 600),
+    item(2915, "Hero's Rune [2]", 'Consumables', 99, 600),
+    item(2916, "Hero's Rune [3]", 'Consumables', 99, 600),
+    item(2917, "Hero's Rune [4]", 'Consumables', 99, 600),
+    item(2918, "Hero's Rune [5]", 'Consumables', 99, 600),
+    item(2919, "Lord's Rune", 'Consumables', 99, 600),
+    item(8000, 'Stonesword Key', 'Consumables', 99, 600),
+    item(8185, 'Larval Tear', 'Consumables', 99, 600),
+
+    // Key items
+    item(10010, 'Golden Seed', 'Key Items', 99, 0),
+    item(10020, 'Sacred Tear', 'Key Items', 99, 0),
+    item(8600, 'Map: Limgrave, West', 'Key Items', 1, 0),
+    item(8601, 'Map: Weeping Peninsula', 'Key Items', 1, 0),
+    item(8602, 'Map: Limgrave, East', 'Key Items', 1, 0),
+    item(8603, 'Map: Liurnia, East', 'Key Items', 1, 0),
+    item(8604, 'Map: Liurnia, North', 'Key Items', 1, 0),
+    item(8605, 'Map: Liurnia, West', 'Key Items', 1, 0),
+    item(8606, 'Map: Altus Plateau', 'Key Items', 1, 0),
+    item(8607, 'Map: Leyndell, Royal Capital', 'Key Items', 1, 0),
+    item(8608, 'Map: Mt. Gelmir', 'Key Items', 1, 0),
+    item(8609, 'Map: Caelid', 'Key Items', 1, 0),
+    item(8610, 'Map: Dragonbarrow', 'Key Items', 1, 0),
+    item(8611, 'Map: Mountaintops of the Giants, East', 'Key Items', 1, 0),
+    item(8612, 'Map: Mountaintops of the Giants, West', 'Key Items', 1, 0),
+    item(8613, 'Map: Ainsel River', 'Key Items', 1, 0),
+    item(8614, 'Map: Lake of Rot', 'Key Items', 1, 0),
+    item(8615, 'Map: Siofra River', 'Key Items', 1, 0),
+    item(8616, 'Map: Mohgwyn Palace', 'Key Items', 1, 0),
+    item(8617, 'Map: Deeproot Depths', 'Key Items', 1, 0),
+    item(8618, 'Map: Consecrated Snowfield', 'Key Items', 1, 0),
+    item(2008600, 'Map: Gravesite Plain', 'Key Items', 1, 0),
+    item(2008601, 'Map: Scadu Altus', 'Key Items', 1, 0),
+    item(2008602, 'Map: Southern Shore', 'Key Items', 1, 0),
+    item(2008603, 'Map: Rauh Ruins', 'Key Items', 1, 0),
+    item(2008604, 'Map: Abyss', 'Key Items', 1, 0),
+
+    // Crafting materials
+    item(20650, 'Rowa Fruit', 'Crafting Materials', 99, 999),
+    item(20651, 'Golden Rowa', 'Crafting Materials', 99, 999),
+    item(20683, 'Mushroom', 'Crafting Materials', 99, 999),
+    item(20690, 'Root Resin', 'Crafting Materials', 99, 999),
+    item(20720, 'Smoldering Butterfly', 'Crafting Materials', 99, 999),
+    item(20760, 'Cave Moss', 'Crafting Materials', 99, 999),
+    item(20795, 'Gravel Stone', 'Crafting Materials', 99, 999),
+
+    // Ashes of War
+    ashOfWar(10000, "Ash of War: Lion's Claw", [...SWORD_GROUPS, ...HEAVY_GROUPS]),
+    ashOfWar(10100, 'Ash of War: Impaling Thrust',
+        ['Daggers', 'Straight Swords', 'Greatswords', 'Colossal Swords', ...THRUSTING_GROUPS, 'Katanas', ...POLEARM_GROUPS]),
+    ashOfWar(10200, 'Ash of War: Piercing Fang',
+        ['Daggers', 'Straight Swords', 'Greatswords', 'Colossal Swords', ...THRUSTING_GROUPS, 'Spears', 'Great Spears']),
+    ashOfWar(10300, 'Ash of War: Spinning Slash',
+        ['Daggers', ...SWORD_GROUPS, 'Twinblades', 'Axes', 'Greataxes', 'Halberds', 'Reapers']),
+    ashOfWar(10500, 'Ash of War: Charge Forth', POLEARM_GROUPS),
+    ashOfWar(10600, 'Ash of War: Stamp (Upward Cut)',
+        [...SWORD_GROUPS, 'Twinblades', ...HEAVY_GROUPS, 'Flails', 'Halberds', 'Reapers']),
+    ashOfWar(10700, 'Ash of War: Stamp (Sweep)',
+        [...SWORD_GROUPS, 'Twinblades', ...HEAVY_GROUPS, 'Flails', 'Halberds', 'Reapers']),
+    ashOfWar(10800, 'Ash of War: Blood Tax', POLEARM_GROUPS),
+    ashOfWar(10900, 'Ash of War: Repeating Thrust',
+        ['Daggers', 'Straight Swords', ...THRUSTING_GROUPS, 'Spears', 'Great Spears']),
+    ashOfWar(11000, 'Ash of War: Wild Strikes',
+        ['Straight Swords', 'Greatswords', 'Colossal Swords', ...HEAVY_GROUPS, 'Flails', 'Halberds']),
+    ashOfWar(11100, 'Ash of War: Spinning Strikes', ['Twinblades', ...POLEARM_GROUPS, 'Reapers']),
+    ashOfWar(11200, 'Ash of War: Double Slash',
+        ['Daggers', 'Straight Swords', 'Curved Swords', 'Katanas', 'Twinblades']),
+    ashOfWar(11300, "Ash of War: Prelate's Charge",
+        ['Straight Swords', 'Greatswords', 'Colossal Swords', ...HEAVY_GROUPS, 'Halberds'],
+        ['Standard', 'Heavy', 'Keen', 'Quality', 'Fire', 'Flame Art']),
+    ashOfWar(11400, 'Ash of War: Unsheathe', ['Katanas']),
+    ashOfWar(11500, 'Ash of War: Square Off', ['Straight Swords', 'Greatswords']),
+    ashOfWar(11600, 'Ash of War: Giant Hunt',
+        ['Straight Swords', 'Greatswords', 'Colossal Swords', 'Curved Greatswords', ...POLEARM_GROUPS])
+];
+
+const itemsByKey = new Map(ITEMS.map(entry => [`${entry.category}:${entry.id}`, entry]));
+
+/**
+ * Look up an item by category and ID
+ * @param {string} category - weapon, armor, talisman, item or ashOfWar
+ * @param {number} id - Item ID without category bits (weapon affinity and level are ignored)
+ * @returns {Object|null} Item entry or null when the ID is unknown
+ */
+function findItem(category, id) {
+    const baseId = category === 'weapon' ? id - (id % 10000) : id;
+    return itemsByKey.get(`${category}:${baseId}`) || null;
+}
+
+/**
+ * Check whether an Ash of War can be applied to a weapon with a given affinity
+ * @param {Object} ash - Ash of War entry
+ * @param {Object} weapon - Weapon entry
+ * @param {number} affinity - Index into AFFINITIES
+ * @returns {string|null} Why the combination is not possible, or null when it is
+ */
+function getAshOfWarConflict(ash, weapon, affinity) {
+    if (!ash.weaponGroups.includes(weapon.group)) {
+        return `${ash.name} cannot be applied to ${weapon.group}`;
+    }
+    if (!ash.affinities.includes(affinity)) {
+        return `${ash.name} does not allow the ${AFFINITIES[affinity]} affinity`;
+    }
+    return null;
+}
+
+/**
+ * Search items by name
+ * @param {string} query - Case-insensitive part of the item name
+ * @param {string} [category] - Only return items of this category
+ * @returns {Object[]} Matching items sorted by name
+ */
+function searchItems(query, category) {
+    const needle = (query || '').trim().toLowerCase();
+    return ITEMS
+        .filter(entry => !category || entry.category === category)
+        .filter(entry => entry.name.toLowerCase().includes(needle))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    ITEM_CATEGORIES,
+    AFFINITIES,
+    ITEMS,
+    findItem,
+    getAshOfWarConflict,
+    searchItems
+};
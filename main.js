@@ -1,10 +1,17 @@
 const { app, BrowserWindow, Menu, ipcMain, dialog } = require('electron');
 const path = require('path');
 const EldenRingSaveManager = require('./save-manager');
+const BackupManager = require('./backup-manager');
+const OperationJournal = require('./operation-journal');
+const itemDatabase = require('./item-database');
 
 // Keep a global reference of the window object
 let mainWindow;
 let saveManager;
+let backupManager;
+let operationJournal;
+let pendingRepair = null;
+let pendingBundle = null;
 
 function createWindow() {
     // Create the browser window
@@ -47,6 +54,8 @@ function createWindow() {
 app.whenReady().then(() => {
     // Initialize save manager
     saveManager = new EldenRingSaveManager();
+    backupManager = new BackupManager(path.join(app.getPath('userData'), 'backups'));
+    operationJournal = new OperationJournal();
 
     createWindow();
 
@@ -73,6 +82,9 @@ app.on('window-all-closed', () => {
 });
 
 function createMenu() {
+    const undoEntry = operationJournal.peekUndo();
+    const redoEntry = operationJournal.peekRedo();
+
     const template = [
         {
             label: 'File',
@@ -111,7 +123,21 @@ function createMenu() {
                 { type: 'separator' },
                 { role: 'cut' },
                 { role: 'copy' },
-                { role: 'paste' }
+                { role: 'paste' },
+                { type: 'separator' },
+                // Whole save operations get their own items so Cmd/Ctrl+Z keeps undoing typing
+                {
+                    label: undoEntry ? `Undo Save Change: ${undoEntry.operation}` : 'Undo Save Change',
+                    accelerator: 'CmdOrCtrl+Alt+Z',
+                    enabled: undoEntry !== null,
+                    click: () => runMenuOperation('undo')
+                },
+                {
+                    label: redoEntry ? `Redo Save Change: ${redoEntry.operation}` : 'Redo Save Change',
+                    accelerator: 'CmdOrCtrl+Alt+Shift+Z',
+                    enabled: redoEntry !== null,
+                    click: () => runMenuOperation('redo')
+                }
             ]
         },
         {
@@ -186,6 +212,113 @@ function createMenu() {
     Menu.setApplicationMenu(menu);
 }
 
+// Overwrite a save file, keeping a backup of what was on disk before
+// The new contents are verified in a temp file first, so a failed write leaves the original in place.
+function writeSaveFile(filePath, buffer, operation) {
+    const fs = require('fs');
+    const previousBuffer = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+
+    backupManager.createBackup(filePath, operation);
+    saveManager.writeSaveFileAtomic(filePath, buffer);
+
+    // Record the write so it can be undone
+    if (previousBuffer) {
+        operationJournal.record(filePath, operation, previousBuffer, buffer);
+        createMenu();
+    }
+}
+
+// Revert the last recorded operation on disk
+function undoOperation() {
+    const entry = operationJournal.peekUndo();
+    if (!entry) {
+        return { success: false, error: 'Nothing to undo' };
+    }
+    return replayOperation(entry, 'undo');
+}
+
+// Re-apply the last undone operation on disk
+function redoOperation() {
+    const entry = operationJournal.peekRedo();
+    if (!entry) {
+        return { success: false, error: 'Nothing to redo' };
+    }
+    return replayOperation(entry, 'redo');
+}
+
+// Write an undo or redo to disk and tell the renderer which file changed
+function replayOperation(entry, action) {
+    let buffer;
+    try {
+        const currentBuffer = require('fs').readFileSync(entry.filePath);
+        buffer = action === 'undo'
+            ? operationJournal.revert(entry, currentBuffer)
+            : operationJournal.reapply(entry, currentBuffer);
+    } catch (error) {
+        // The file no longer matches the journal, so this operation can never be replayed
+        operationJournal.discard(entry);
+        createMenu();
+        return { success: false, error: error.message };
+    }
+
+    try {
+        backupManager.createBackup(entry.filePath, `${action === 'undo' ? 'Undo' : 'Redo'} ${entry.operation}`);
+        saveManager.writeSaveFileAtomic(entry.filePath, buffer);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (action === 'undo') {
+        operationJournal.completeUndo();
+    } else {
+        operationJournal.completeRedo();
+    }
+    createMenu();
+
+    const change = {
+        action,
+        operation: entry.operation,
+        filePath: entry.filePath,
+        updatedSaveFile: saveManager.loadSaveFile(entry.filePath)
+    };
+    if (mainWindow) {
+        mainWindow.webContents.send('save-file-changed', change);
+    }
+
+    return { success: true, action, operation: entry.operation, filePath: entry.filePath };
+}
+
+// Undo and redo rewrite a save on disk, so the menu asks before running them and reports errors itself
+async function runMenuOperation(action) {
+    const entry = action === 'undo' ? operationJournal.peekUndo() : operationJournal.peekRedo();
+    if (!entry || !mainWindow) {
+        return;
+    }
+
+    const verb = action === 'undo' ? 'Undo' : 'Redo';
+    const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        buttons: [verb, 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        title: `${verb} Save Change`,
+        message: `${verb} "${entry.operation}"?`,
+        detail: `${path.basename(entry.filePath)} will be rewritten on disk. A backup of the current file is kept.`
+    });
+    if (response !== 0) {
+        return;
+    }
+
+    const result = action === 'undo' ? undoOperation() : redoOperation();
+    if (!result.success) {
+        dialog.showMessageBox(mainWindow, {
+            type: 'error',
+            title: 'Undo/Redo Failed',
+            message: result.error
+        });
+    }
+}
+
 // Setup IPC handlers for communication with renderer process
 function setupIpcHandlers() {
     // Handle file selection for source save file
@@ -235,10 +368,11 @@ function setupIpcHandlers() {
     // Handle save copying
     ipcMain.handle('copy-save', async (event, { sourceSave, targetSaveFile, targetSlotIndex }) => {
         try {
-            const updatedBuffer = saveManager.copySave(sourceSave, targetSaveFile, targetSlotIndex);
+            const currentTargetFile = saveManager.loadSaveFile(targetSaveFile.filePath);
+            const updatedBuffer = saveManager.copySave(sourceSave, currentTargetFile, targetSlotIndex);
 
             // Directly overwrite the target file
-            require('fs').writeFileSync(targetSaveFile.filePath, updatedBuffer);
+            writeSaveFile(targetSaveFile.filePath, updatedBuffer, 'Copy Save');
 
             // Reload the target file to get updated data
             const reloadedTargetFile = saveManager.loadSaveFile(targetSaveFile.filePath);
@@ -253,8 +387,44 @@ function setupIpcHandlers() {
         }
     });
 
+    // Delete a character
+    ipcMain.handle('delete-character', async (event, { saveFile, slotIndex }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.deleteCharacter(buffer, slotIndex);
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Delete Character');
+
+            // Reload the save file to get updated data
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Move, swap or duplicate a slot within one file
+    ipcMain.handle('rearrange-slots', async (event, { saveFile, fromIndex, toIndex, mode }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.rearrangeSlots(buffer, { fromIndex, toIndex, mode });
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Rearrange Slots');
+
+            // Reload the save file to get updated data
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // Handle save extraction
-    ipcMain.handle('extract-save', async (event, { save, suggestedName }) => {
+    ipcMain.handle('extract-save', async (event, { save, suggestedName, steamId, note }) => {
         try {
             const result = await dialog.showSaveDialog(mainWindow, {
                 title: 'Extract Save File',
@@ -266,7 +436,11 @@ function setupIpcHandlers() {
             });
 
             if (!result.canceled) {
-                const extractResult = await saveManager.extractSave(save, result.filePath);
+                const extractResult = await saveManager.extractSave(save, result.filePath, {
+                    steamId,
+                    note,
+                    appVersion: app.getVersion()
+                });
                 return { success: true, ...extractResult, filePath: result.filePath };
             }
             return { success: false, error: 'Extract canceled' };
@@ -275,6 +449,62 @@ function setupIpcHandlers() {
         }
     });
 
+    // Export a character's appearance to a preset file
+    ipcMain.handle('export-appearance', async (event, { saveFile, slotIndex, suggestedName }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const preset = saveManager.exportAppearance(buffer, slotIndex);
+
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Export Appearance',
+                defaultPath: `${suggestedName}.json`,
+                filters: [
+                    { name: 'Appearance Presets', extensions: ['json'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (!result.canceled) {
+                saveManager.writeFileAtomic(result.filePath, JSON.stringify(preset, null, 2));
+                return { success: true, filePath: result.filePath };
+            }
+            return { success: false, error: 'Export canceled' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Apply an appearance preset file to a character
+    ipcMain.handle('import-appearance', async (event, { saveFile, slotIndex }) => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Import Appearance',
+            filters: [
+                { name: 'Appearance Presets', extensions: ['json'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            try {
+                const preset = JSON.parse(require('fs').readFileSync(result.filePaths[0], 'utf8'));
+                const buffer = require('fs').readFileSync(saveFile.filePath);
+                const modifiedBuffer = saveManager.importAppearance(buffer, slotIndex, preset);
+
+                // Write back to file
+                writeSaveFile(saveFile.filePath, modifiedBuffer, 'Import Appearance');
+
+                // Reload the save file to get updated data
+                const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+                return { success: true, updatedSaveFile: reloadedSaveFile, presetName: preset.characterName };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+        return { success: false, error: 'No file selected' };
+    });
+
     // Handle loading extracted save files
     ipcMain.handle('load-extracted-save', async () => {
         const result = await dialog.showOpenDialog(mainWindow, {
@@ -297,11 +527,161 @@ function setupIpcHandlers() {
         return { success: false, error: 'No file selected' };
     });
 
+    // Extract every active slot of a save file into one bundle
+    ipcMain.handle('extract-all-saves', async (event, { saveFile, note }) => {
+        try {
+            const parsedPath = path.parse(saveFile.filePath);
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Extract All Saves',
+                defaultPath: `${parsedPath.name}.erb`,
+                filters: [
+                    { name: 'Save Bundles', extensions: ['erb'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (!result.canceled) {
+                // Bundle the file as it is on disk rather than the copy held by the window
+                const currentSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+                const extractResult = await saveManager.extractAllSaves(currentSaveFile, result.filePath, {
+                    note,
+                    appVersion: app.getVersion()
+                });
+                return { success: true, ...extractResult, filePath: result.filePath };
+            }
+            return { success: false, error: 'Extract canceled' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Load a save bundle and keep it until its entries are mapped to slots
+    ipcMain.handle('load-save-bundle', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Load Save Bundle',
+            filters: [
+                { name: 'Save Bundles', extensions: ['erb'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            try {
+                pendingBundle = await saveManager.loadSaveBundle(result.filePaths[0]);
+                return {
+                    success: true,
+                    filePath: pendingBundle.filePath,
+                    manifest: pendingBundle.manifest
+                };
+            } catch (error) {
+                pendingBundle = null;
+                return { success: false, error: error.message };
+            }
+        }
+        return { success: false, error: 'No file selected' };
+    });
+
+    // Write the mapped entries of the pending bundle into the target file
+    ipcMain.handle('import-save-bundle', async (event, { targetSaveFile, mapping }) => {
+        if (!pendingBundle) {
+            return { success: false, error: 'No bundle loaded' };
+        }
+
+        try {
+            const currentTargetFile = saveManager.loadSaveFile(targetSaveFile.filePath);
+            const updatedBuffer = saveManager.importSaveBundle(pendingBundle, currentTargetFile, mapping);
+
+            // Directly overwrite the target file
+            writeSaveFile(targetSaveFile.filePath, updatedBuffer, 'Import Bundle');
+            pendingBundle = null;
+
+            // Reload the target file to get updated data
+            const reloadedTargetFile = saveManager.loadSaveFile(targetSaveFile.filePath);
+
+            return {
+                success: true,
+                filePath: targetSaveFile.filePath,
+                updatedTargetFile: reloadedTargetFile
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // Format play time helper
     ipcMain.handle('format-play-time', (event, seconds) => {
         return saveManager.formatPlayTime(seconds);
     });
 
+    // Verify save file integrity
+    ipcMain.handle('verify-save-file', async (event, { saveFile }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const report = saveManager.verifySaveFile(buffer);
+            return { success: true, report };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Repair a damaged save file (preview only, nothing is written yet)
+    ipcMain.handle('repair-save-file', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Damaged Save File',
+            filters: [
+                { name: 'Elden Ring Save Files', extensions: ['sl2'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            try {
+                const buffer = require('fs').readFileSync(result.filePaths[0]);
+                const repair = saveManager.repairSaveFile(buffer);
+                pendingRepair = { sourcePath: result.filePaths[0], ...repair };
+                return { success: true, filePath: result.filePaths[0], report: repair.report };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+        return { success: false, error: 'No file selected' };
+    });
+
+    // Write the pending repair to a new file
+    ipcMain.handle('save-repaired-file', async () => {
+        if (!pendingRepair) {
+            return { success: false, error: 'No repair in progress' };
+        }
+
+        try {
+            const parsedPath = path.parse(pendingRepair.sourcePath);
+            const result = await dialog.showSaveDialog(mainWindow, {
+                title: 'Save Repaired File',
+                defaultPath: path.join(parsedPath.dir, `${parsedPath.name}.repaired${parsedPath.ext}`),
+                filters: [
+                    { name: 'Elden Ring Save Files', extensions: ['sl2'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (result.canceled) {
+                return { success: false, error: 'Save canceled' };
+            }
+            if (path.resolve(result.filePath) === path.resolve(pendingRepair.sourcePath)) {
+                return { success: false, error: 'Choose a new file, the damaged original is kept untouched' };
+            }
+
+            writeSaveFile(result.filePath, pendingRepair.buffer, 'Save Repaired File');
+            pendingRepair = null;
+
+            return { success: true, filePath: result.filePath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     // Get character stats
     ipcMain.handle('get-character-stats', async (event, { saveFile, slotIndex }) => {
         try {
@@ -313,6 +693,120 @@ function setupIpcHandlers() {
         }
     });
 
+    // Get held inventory and storage box contents
+    ipcMain.handle('get-inventory', async (event, { saveFile, slotIndex }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const inventory = saveManager.getInventory(buffer, slotIndex);
+            return { success: true, inventory };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Get upgrade level, affinity and Ash of War of one weapon
+    ipcMain.handle('get-weapon-details', async (event, { saveFile, slotIndex, handle }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const weapon = saveManager.getWeaponDetails(buffer, slotIndex, handle);
+            return { success: true, weapon };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Change upgrade level, affinity or Ash of War of one weapon
+    ipcMain.handle('set-weapon-properties', async (event, { saveFile, slotIndex, options }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.setWeaponProperties(buffer, slotIndex, options);
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Edit Weapon');
+
+            // Reload the save file, the inventory and the edited weapon
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+            const inventory = saveManager.getInventory(modifiedBuffer, slotIndex);
+            const weapon = saveManager.getWeaponDetails(modifiedBuffer, slotIndex, options.handle);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile, inventory, weapon };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Get the equipped items of a character
+    ipcMain.handle('get-equipment', async (event, { saveFile, slotIndex }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const equipment = saveManager.getEquipment(buffer, slotIndex);
+            return { success: true, equipment };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Equip an item from the held inventory
+    ipcMain.handle('equip-item', async (event, { saveFile, slotIndex, options }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.equipItem(buffer, slotIndex, options);
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Equip Item');
+
+            // Reload the save file and the updated loadout
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+            const equipment = saveManager.getEquipment(modifiedBuffer, slotIndex);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile, equipment };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Search the item database by name
+    ipcMain.handle('search-items', async (event, { query, category }) => {
+        try {
+            const items = itemDatabase.searchItems(query, category);
+            return { success: true, items };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Add, re-stack or remove inventory items
+    const inventoryEdits = {
+        'add-inventory-item': (buffer, slotIndex, options) => saveManager.addInventoryItem(buffer, slotIndex, options),
+        'set-inventory-quantity': (buffer, slotIndex, options) => saveManager.setInventoryQuantity(buffer, slotIndex, options),
+        'remove-inventory-item': (buffer, slotIndex, options) => saveManager.removeInventoryItem(buffer, slotIndex, options)
+    };
+    const inventoryLabels = {
+        'add-inventory-item': 'Add Item',
+        'set-inventory-quantity': 'Change Item Quantity',
+        'remove-inventory-item': 'Remove Item'
+    };
+
+    for (const [channel, edit] of Object.entries(inventoryEdits)) {
+        ipcMain.handle(channel, async (event, { saveFile, slotIndex, options }) => {
+            try {
+                const buffer = require('fs').readFileSync(saveFile.filePath);
+                const modifiedBuffer = edit(buffer, slotIndex, options);
+
+                // Write back to file
+                writeSaveFile(saveFile.filePath, modifiedBuffer, inventoryLabels[channel]);
+
+                // Reload the save file and the edited inventory
+                const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+                const inventory = saveManager.getInventory(modifiedBuffer, slotIndex);
+
+                return { success: true, updatedSaveFile: reloadedSaveFile, inventory };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+    }
+
     // Set character stats
     ipcMain.handle('set-character-stats', async (event, { saveFile, slotIndex, newStats, options }) => {
         try {
@@ -320,7 +814,43 @@ function setupIpcHandlers() {
             const modifiedBuffer = saveManager.setCharacterStats(buffer, slotIndex, newStats, options);
 
             // Write back to file
-            require('fs').writeFileSync(saveFile.filePath, modifiedBuffer);
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Edit Stats');
+
+            // Reload the save file to get updated data
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Set journey, starting class and body type
+    ipcMain.handle('set-character-details', async (event, { saveFile, slotIndex, details }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.setCharacterDetails(buffer, slotIndex, details);
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Edit Journey and Class');
+
+            // Reload the save file to get updated data
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+            return { success: true, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Set held runes and rune memory
+    ipcMain.handle('set-character-runes', async (event, { saveFile, slotIndex, runes, runesMemory }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.setCharacterRunes(buffer, slotIndex, { runes, runesMemory });
+
+            // Write back to file
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Edit Runes');
 
             // Reload the save file to get updated data
             const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
@@ -349,7 +879,7 @@ function setupIpcHandlers() {
             const modifiedBuffer = saveManager.setCharacterName(buffer, slotIndex, newName);
 
             // Write back to file
-            require('fs').writeFileSync(saveFile.filePath, modifiedBuffer);
+            writeSaveFile(saveFile.filePath, modifiedBuffer, 'Rename Character');
 
             // Reload the save file to get updated data
             const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
@@ -359,4 +889,88 @@ function setupIpcHandlers() {
             return { success: false, error: error.message };
         }
     });
+
+    // Read the Steam ID from another save file to use as a reference
+    ipcMain.handle('select-reference-steam-id', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Select Save File With The Desired Steam ID',
+            filters: [
+                { name: 'Elden Ring Save Files', extensions: ['sl2'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            properties: ['openFile']
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            try {
+                const buffer = require('fs').readFileSync(result.filePaths[0]);
+                const { steamId } = saveManager.readSteamIds(buffer);
+                return { success: true, steamId, filePath: result.filePaths[0] };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        }
+        return { success: false, error: 'No file selected' };
+    });
+
+    // Change Steam ID
+    ipcMain.handle('change-steam-id', async (event, { saveFile, steamId }) => {
+        try {
+            const buffer = require('fs').readFileSync(saveFile.filePath);
+            const modifiedBuffer = saveManager.setSteamId(buffer, steamId);
+
+            // Nothing to write when every field already holds this Steam ID
+            const changed = modifiedBuffer !== buffer;
+            if (changed) {
+                writeSaveFile(saveFile.filePath, modifiedBuffer, 'Change Steam ID');
+            }
+
+            // Reload the save file to get updated data
+            const reloadedSaveFile = saveManager.loadSaveFile(saveFile.filePath);
+
+            return { success: true, changed, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // List backups and the retention policy
+    ipcMain.handle('list-backups', async () => {
+        try {
+            return {
+                success: true,
+                backups: backupManager.listBackups(),
+                retention: backupManager.getRetention()
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Put a backup back in place of the file it was taken from
+    ipcMain.handle('restore-backup', async (event, { id }) => {
+        try {
+            const backup = backupManager.getBackup(id);
+            const buffer = backupManager.readBackup(id);
+
+            // The file being replaced is backed up too, so a restore can be undone
+            writeSaveFile(backup.sourcePath, buffer, 'Restore Backup');
+
+            const reloadedSaveFile = saveManager.loadSaveFile(backup.sourcePath);
+
+            return { success: true, backup, updatedSaveFile: reloadedSaveFile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Change how many backups are kept and for how long
+    ipcMain.handle('set-backup-retention', async (event, { retention }) => {
+        try {
+            const updatedRetention = backupManager.setRetention(retention);
+            return { success: true, retention: updatedRetention, backups: backupManager.listBackups() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
 }
@@ -0,0 +1,191 @@
+// Changes are recorded per block, so a stats edit stores a few kilobytes rather than the whole 26MB file
+const BLOCK_SIZE = 4096;
+
+// Limits for the session history; the oldest operations are dropped first
+const DEFAULT_MAX_ENTRIES = 50;
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Session undo/redo history of save file writes
+ * Every recorded operation keeps the bytes of the regions it changed, both before and after the write,
+ * so it can be reverted or re-applied to the file on disk as a whole.
+ */
+class OperationJournal {
+    /**
+     * @param {Object} [options] - { maxEntries, maxBytes } limits for the undo history
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a write that replaced a file's contents
+     * Recording a new operation clears the redo history.
+     * @param {string} filePath - File that was written
+     * @param {string} operation - Name of the operation, used in menu labels and status messages
+     * @param {Buffer} before - File contents before the write
+     * @param {Buffer} after - File contents after the write
+     * @returns {Object|null} The journal entry, or null when nothing changed
+     */
+    record(filePath, operation, before, after) {
+        const regions = this.diffRegions(before, after);
+        if (regions.length === 0) {
+            return null;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            filePath,
+            operation,
+            timestamp: new Date().toISOString(),
+            beforeLength: before.length,
+            afterLength: after.length,
+            regions,
+            size: regions.reduce((total, region) => total + region.before.length + region.after.length, 0)
+        };
+
+        this.undoStack.push(entry);
+        this.redoStack = [];
+        this.trim();
+
+        return entry;
+    }
+
+    /**
+     * Find the byte regions that differ between two versions of a file
+     * Files whose length changed are stored whole.
+     */
+    diffRegions(before, after) {
+        if (before.length !== after.length) {
+            return [{ offset: 0, before: Buffer.from(before), after: Buffer.from(after) }];
+        }
+
+        const regions = [];
+        let current = null;
+        for (let offset = 0; offset < before.length; offset += BLOCK_SIZE) {
+            const end = Math.min(offset + BLOCK_SIZE, before.length);
+            if (before.subarray(offset, end).equals(after.subarray(offset, end))) {
+                current = null;
+                continue;
+            }
+
+            // Neighbouring changed blocks are merged into one region
+            if (current && current.end === offset) {
+                current.end = end;
+            } else {
+                current = { offset, end };
+                regions.push(current);
+            }
+        }
+
+        return regions.map(({ offset, end }) => ({
+            offset,
+            before: Buffer.from(before.subarray(offset, end)),
+            after: Buffer.from(after.subarray(offset, end))
+        }));
+    }
+
+    /**
+     * Drop the oldest undo entries beyond the entry and memory limits
+     */
+    trim() {
+        let totalSize = [...this.undoStack, ...this.redoStack].reduce((total, entry) => total + entry.size, 0);
+        while (this.undoStack.length > 0 && (this.undoStack.length > this.maxEntries || totalSize > this.maxBytes)) {
+            totalSize -= this.undoStack.shift().size;
+        }
+    }
+
+    /**
+     * The operation that Undo would revert, or null
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * The operation that Redo would re-apply, or null
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Build the file contents with an operation reverted
+     * @param {Object} entry - Entry from peekUndo
+     * @param {Buffer} current - Current contents of the file
+     * @returns {Buffer} Contents as they were before the operation
+     */
+    revert(entry, current) {
+        return this.applyEntry(entry, current, 'after', 'before');
+    }
+
+    /**
+     * Build the file contents with an operation applied again
+     * @param {Object} entry - Entry from peekRedo
+     * @param {Buffer} current - Current contents of the file
+     * @returns {Buffer} Contents as they were after the operation
+     */
+    reapply(entry, current) {
+        return this.applyEntry(entry, current, 'before', 'after');
+    }
+
+    /**
+     * Swap the recorded regions of a file from one state to the other
+     * The file must still be in the expected state, otherwise it was changed outside the journal.
+     */
+    applyEntry(entry, current, from, to) {
+        const expectedLength = from === 'before' ? entry.beforeLength : entry.afterLength;
+        const matches = current.length === expectedLength && entry.regions.every(region =>
+            current.subarray(region.offset, region.offset + region[from].length).equals(region[from]));
+        if (!matches) {
+            throw new Error(`The file has changed since "${entry.operation}", so it cannot be ${to === 'before' ? 'undone' : 'redone'}`);
+        }
+
+        if (entry.beforeLength !== entry.afterLength) {
+            return Buffer.from(entry.regions[0][to]);
+        }
+
+        const result = Buffer.from(current);
+        for (const region of entry.regions) {
+            region[to].copy(result, region.offset);
+        }
+        return result;
+    }
+
+    /**
+     * Move the last operation to the redo history after it has been reverted on disk
+     */
+    completeUndo() {
+        const entry = this.undoStack.pop();
+        if (entry) {
+            this.redoStack.push(entry);
+        }
+        return entry || null;
+    }
+
+    /**
+     * Move the last undone operation back to the undo history after it has been re-applied on disk
+     */
+    completeRedo() {
+        const entry = this.redoStack.pop();
+        if (entry) {
+            this.undoStack.push(entry);
+        }
+        return entry || null;
+    }
+
+    /**
+     * Forget an operation that can no longer be reverted or re-applied
+     * @param {Object} entry - Journal entry
+     */
+    discard(entry) {
+        this.undoStack = this.undoStack.filter(candidate => candidate.id !== entry.id);
+        this.redoStack = this.redoStack.filter(candidate => candidate.id !== entry.id);
+    }
+}
+
+module.exports = OperationJournal;
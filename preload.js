@@ -15,15 +15,46 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Save management operations
     copySave: (data) => ipcRenderer.invoke('copy-save', data),
     extractSave: (data) => ipcRenderer.invoke('extract-save', data),
+    extractAllSaves: (data) => ipcRenderer.invoke('extract-all-saves', data),
+    loadSaveBundle: () => ipcRenderer.invoke('load-save-bundle'),
+    importSaveBundle: (data) => ipcRenderer.invoke('import-save-bundle', data),
+    listBackups: () => ipcRenderer.invoke('list-backups'),
+    restoreBackup: (data) => ipcRenderer.invoke('restore-backup', data),
+    setBackupRetention: (data) => ipcRenderer.invoke('set-backup-retention', data),
+    deleteCharacter: (data) => ipcRenderer.invoke('delete-character', data),
+    rearrangeSlots: (data) => ipcRenderer.invoke('rearrange-slots', data),
+    exportAppearance: (data) => ipcRenderer.invoke('export-appearance', data),
+    importAppearance: (data) => ipcRenderer.invoke('import-appearance', data),
+    verifySaveFile: (data) => ipcRenderer.invoke('verify-save-file', data),
+    repairSaveFile: () => ipcRenderer.invoke('repair-save-file'),
+    saveRepairedFile: () => ipcRenderer.invoke('save-repaired-file'),
 
     // Character stats operations
     getCharacterStats: (data) => ipcRenderer.invoke('get-character-stats', data),
     setCharacterStats: (data) => ipcRenderer.invoke('set-character-stats', data),
+    setCharacterRunes: (data) => ipcRenderer.invoke('set-character-runes', data),
+    setCharacterDetails: (data) => ipcRenderer.invoke('set-character-details', data),
+    getInventory: (data) => ipcRenderer.invoke('get-inventory', data),
+    searchItems: (data) => ipcRenderer.invoke('search-items', data),
+    addInventoryItem: (data) => ipcRenderer.invoke('add-inventory-item', data),
+    setInventoryQuantity: (data) => ipcRenderer.invoke('set-inventory-quantity', data),
+    removeInventoryItem: (data) => ipcRenderer.invoke('remove-inventory-item', data),
+    getEquipment: (data) => ipcRenderer.invoke('get-equipment', data),
+    equipItem: (data) => ipcRenderer.invoke('equip-item', data),
+    getWeaponDetails: (data) => ipcRenderer.invoke('get-weapon-details', data),
+    setWeaponProperties: (data) => ipcRenderer.invoke('set-weapon-properties', data),
 
     // Character name operations
     getCharacterName: (data) => ipcRenderer.invoke('get-character-name', data),
     setCharacterName: (data) => ipcRenderer.invoke('set-character-name', data),
 
+    // Steam ID operations
+    selectReferenceSteamId: () => ipcRenderer.invoke('select-reference-steam-id'),
+    changeSteamId: (data) => ipcRenderer.invoke('change-steam-id', data),
+
+    // Undo history
+    onSaveFileChanged: (callback) => ipcRenderer.on('save-file-changed', (event, change) => callback(change)),
+
     // Utility functions
     formatPlayTime: (seconds) => ipcRenderer.invoke('format-play-time', seconds)
 });
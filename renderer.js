@@ -7,10 +7,23 @@ class EldenRingSaveManagerUI {
         this.targetSaveFile = null;
         this.selectedSourceSave = null;
         this.selectedTargetSlot = null;
+        this.extractedSave = null;
+        this.selectedImportSlot = null;
+        this.saveBundle = null;
+        this.backups = [];
         this.currentCharacterStats = null;
         this.originalStats = null;
+        this.originalRunes = null;
+        this.originalDetails = null;
+        this.steamIdFileType = null;
+        this.currentInventory = null;
+        this.currentLoadout = null;
+        this.currentWeapon = null;
 
         this.initializeEventListeners();
+
+        // Undo and redo are started from the Edit menu
+        window.electronAPI.onSaveFileChanged(change => this.handleSaveFileChanged(change));
     }
 
     initializeEventListeners() {
@@ -22,6 +35,11 @@ class EldenRingSaveManagerUI {
         document.getElementById('copy-save-btn').addEventListener('click', () => this.showCopyDialog());
         document.getElementById('extract-save-btn').addEventListener('click', () => this.showExtractDialog());
         document.getElementById('advanced-stats-btn').addEventListener('click', () => this.showStatsDialog());
+        document.getElementById('export-appearance-btn').addEventListener('click', () => this.exportAppearance());
+        document.getElementById('import-appearance-btn').addEventListener('click', () => this.importAppearance());
+        document.getElementById('verify-btn').addEventListener('click', () => this.verifySaveFiles());
+        document.getElementById('repair-btn').addEventListener('click', () => this.startRepair());
+        document.getElementById('backups-btn').addEventListener('click', () => this.showBackupDialog());
         document.getElementById('refresh-btn').addEventListener('click', () => this.refreshUI());
 
         // Dialog buttons
@@ -29,12 +47,78 @@ class EldenRingSaveManagerUI {
         document.getElementById('cancel-copy-btn').addEventListener('click', () => this.hideCopyDialog());
         document.getElementById('confirm-extract-btn').addEventListener('click', () => this.confirmExtract());
         document.getElementById('cancel-extract-btn').addEventListener('click', () => this.hideExtractDialog());
+        document.getElementById('import-er-btn').addEventListener('click', () => this.showImportDialog());
+        document.getElementById('confirm-import-btn').addEventListener('click', () => this.confirmImport());
+        document.getElementById('cancel-import-btn').addEventListener('click', () => this.hideImportDialog());
+        document.getElementById('extract-all-btn').addEventListener('click', () => this.extractAllSaves());
+        document.getElementById('import-bundle-btn').addEventListener('click', () => this.showBundleDialog());
+        document.getElementById('confirm-bundle-btn').addEventListener('click', () => this.confirmBundleImport());
+        document.getElementById('cancel-bundle-btn').addEventListener('click', () => this.hideBundleDialog());
+        document.getElementById('close-verify-btn').addEventListener('click', () => this.hideVerifyDialog());
+        document.getElementById('save-repair-btn').addEventListener('click', () => this.saveRepairedFile());
+        document.getElementById('cancel-repair-btn').addEventListener('click', () => this.hideRepairDialog());
+        document.getElementById('close-backup-btn').addEventListener('click', () => this.hideBackupDialog());
+        document.getElementById('save-retention-btn').addEventListener('click', () => this.saveBackupRetention());
+        document.getElementById('backup-operation-filter').addEventListener('change', () => this.renderBackups());
+        document.getElementById('backup-list').addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.restore-backup-btn');
+            if (restoreBtn) this.restoreBackup(restoreBtn.dataset.id);
+        });
+
+        // Delete character dialog buttons
+        document.getElementById('delete-character-btn').addEventListener('click', () => this.showDeleteDialog());
+        document.getElementById('confirm-delete-btn').addEventListener('click', () => this.confirmDeleteCharacter());
+        document.getElementById('cancel-delete-btn').addEventListener('click', () => this.hideDeleteDialog());
+
+        // Steam ID dialog buttons
+        document.getElementById('reference-steam-id-btn').addEventListener('click', () => this.useReferenceSteamId());
+        document.getElementById('confirm-steam-id-btn').addEventListener('click', () => this.confirmSteamIdChange());
+        document.getElementById('cancel-steam-id-btn').addEventListener('click', () => this.hideSteamIdDialog());
 
         // Stats dialog buttons
         document.getElementById('save-stats-btn').addEventListener('click', () => this.saveStats());
         document.getElementById('reset-stats-btn').addEventListener('click', () => this.resetStats());
         document.getElementById('cancel-stats-btn').addEventListener('click', () => this.hideStatsDialog());
 
+        // Stats dialog tabs and inventory filters
+        document.querySelectorAll('#stats-dialog .tab-btn').forEach(button => {
+            button.addEventListener('click', () => this.showStatsTab(button.dataset.tab));
+        });
+        document.getElementById('inventory-search').addEventListener('input', () => this.renderInventory());
+        document.getElementById('inventory-category').addEventListener('change', () => {
+            this.renderInventory();
+            this.searchItemsToAdd();
+        });
+        document.getElementById('inventory-location').addEventListener('change', () => this.renderInventory());
+        document.getElementById('add-item-search').addEventListener('input', () => this.searchItemsToAdd());
+        document.getElementById('add-item-btn').addEventListener('click', () => this.addInventoryItem());
+        document.getElementById('inventory-list').addEventListener('change', (e) => {
+            if (e.target.classList.contains('inventory-quantity-input')) {
+                this.setInventoryQuantity(e.target.closest('.inventory-row').dataset, parseInt(e.target.value));
+            }
+        });
+        document.getElementById('inventory-list').addEventListener('click', (e) => {
+            if (e.target.classList.contains('inventory-remove-btn')) {
+                this.removeInventoryItem(e.target.closest('.inventory-row').dataset);
+            }
+            if (e.target.classList.contains('inventory-edit-btn')) {
+                this.showWeaponPanel(parseInt(e.target.closest('.inventory-row').dataset.handle));
+            }
+        });
+        document.getElementById('apply-weapon-btn').addEventListener('click', () => this.applyWeaponChanges());
+        document.getElementById('close-weapon-btn').addEventListener('click', () => this.hideWeaponPanel());
+        document.getElementById('weapon-affinity-select').addEventListener('change', () => {
+            this.renderAshOfWarOptions(parseInt(document.getElementById('weapon-aow-select').value));
+        });
+        document.getElementById('weapon-aow-select').addEventListener('change', (e) => {
+            this.renderAshOfWarOptions(parseInt(e.target.value));
+        });
+        document.getElementById('loadout-list').addEventListener('change', (e) => {
+            if (e.target.classList.contains('loadout-select')) {
+                this.equipItem(e.target.dataset.slot, e.target.value);
+            }
+        });
+
         // Close dialogs when clicking outside
         document.getElementById('copy-dialog').addEventListener('click', (e) => {
             if (e.target.id === 'copy-dialog') this.hideCopyDialog();
@@ -45,12 +129,34 @@ class EldenRingSaveManagerUI {
         document.getElementById('stats-dialog').addEventListener('click', (e) => {
             if (e.target.id === 'stats-dialog') this.hideStatsDialog();
         });
+        document.getElementById('repair-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'repair-dialog') this.hideRepairDialog();
+        });
+        document.getElementById('verify-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'verify-dialog') this.hideVerifyDialog();
+        });
+        document.getElementById('steam-id-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'steam-id-dialog') this.hideSteamIdDialog();
+        });
+        document.getElementById('import-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'import-dialog') this.hideImportDialog();
+        });
+        document.getElementById('bundle-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'bundle-dialog') this.hideBundleDialog();
+        });
+        document.getElementById('backup-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'backup-dialog') this.hideBackupDialog();
+        });
+        document.getElementById('delete-dialog').addEventListener('click', (e) => {
+            if (e.target.id === 'delete-dialog') this.hideDeleteDialog();
+        });
 
         // Add event listeners for stat inputs
         const statInputs = ['vigor', 'mind', 'endurance', 'strength', 'dexterity', 'intelligence', 'faith', 'arcane'];
         statInputs.forEach(stat => {
             document.getElementById(`${stat}-input`).addEventListener('input', () => this.updateLevel());
         });
+        document.getElementById('class-select').addEventListener('change', () => this.updateClassWarning());
 
         // God mode and auto-calc checkboxes
         document.getElementById('god-mode-check').addEventListener('change', () => this.updateDisplayValues());
@@ -125,6 +231,8 @@ class EldenRingSaveManagerUI {
             fileNameElement.textContent = 'No file selected';
             savesListElement.innerHTML = '<p class="no-saves">Load a source file to view saves</p>';
         }
+
+        this.renderFileDetails('source-file-details', this.sourceSaveFile, 'source');
     }
 
     updateTargetFileDisplay() {
@@ -140,6 +248,38 @@ class EldenRingSaveManagerUI {
             fileNameElement.textContent = 'No file selected';
             savesListElement.innerHTML = '<p class="no-saves">Load a target file to view saves</p>';
         }
+
+        this.renderFileDetails('target-file-details', this.targetSaveFile, 'target');
+    }
+
+    renderFileDetails(elementId, saveFile, type) {
+        const detailsElement = document.getElementById(elementId);
+
+        if (!saveFile) {
+            detailsElement.innerHTML = '';
+            detailsElement.classList.add('hidden');
+            return;
+        }
+
+        // Active slots that don't carry the profile's Steam ID will be rejected by the game
+        const mismatchedSlots = saveFile.steamIds.slots
+            .filter(slot => slot.active && !slot.matchesProfile)
+            .map(slot => slot.index);
+
+        detailsElement.innerHTML = `
+            <div class="file-detail-row">
+                <span>Steam ID: <span class="steam-id">${saveFile.steamIds.steamId}</span></span>
+                <button class="btn btn-secondary btn-small change-steam-id-btn">Change Steam ID</button>
+            </div>
+            ${mismatchedSlots.length > 0 ? `
+                <div class="file-detail-warning">
+                    Steam ID does not match in slot${mismatchedSlots.length > 1 ? 's' : ''} ${mismatchedSlots.join(', ')}
+                </div>
+            ` : ''}
+        `;
+
+        detailsElement.querySelector('.change-steam-id-btn').addEventListener('click', () => this.showSteamIdDialog(type));
+        detailsElement.classList.remove('hidden');
     }
 
     async renderSavesList(container, saves, type) {
@@ -157,6 +297,7 @@ class EldenRingSaveManagerUI {
             saveElement.dataset.type = type;
 
             const playTimeFormatted = await window.electronAPI.formatPlayTime(save.saveHeaderInfo.secondsPlayed);
+            const info = save.saveHeaderInfo;
 
             saveElement.innerHTML = `
                 <div class="save-header">
@@ -164,16 +305,84 @@ class EldenRingSaveManagerUI {
                     ${save.active ? '<span class="save-active">ACTIVE</span>' : ''}
                 </div>
                 <div class="save-info">
-                    <strong>${save.saveHeaderInfo.characterName}</strong><br>
-                    Level ${save.saveHeaderInfo.characterLevel} • ${playTimeFormatted}
+                    <strong>${info.characterName}</strong><br>
+                    Level ${info.characterLevel} • ${playTimeFormatted}
+                    ${save.active ? `
+                        <div class="save-details">
+                            ${info.archetypeName} • ${info.location} (${info.mapId})<br>
+                            Rune Memory ${info.runesMemory.toLocaleString()}
+                        </div>
+                    ` : ''}
                 </div>
             `;
 
             saveElement.addEventListener('click', () => this.selectSave(saveElement, save, type));
+            if (type === 'source') {
+                this.enableSlotDragAndDrop(saveElement, save);
+            }
             container.appendChild(saveElement);
         }
     }
 
+    // Dragging a character onto another slot moves it there, or swaps the two when the slot is in use.
+    // Holding Ctrl or Alt while dropping duplicates it instead.
+    enableSlotDragAndDrop(saveElement, save) {
+        if (save.active) {
+            saveElement.draggable = true;
+            saveElement.title = 'Drag onto another slot to move or swap it, hold Ctrl or Alt to duplicate';
+            saveElement.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', String(save.index));
+                e.dataTransfer.effectAllowed = 'copyMove';
+            });
+        }
+
+        saveElement.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            saveElement.classList.add('drag-over');
+        });
+        saveElement.addEventListener('dragleave', () => saveElement.classList.remove('drag-over'));
+        saveElement.addEventListener('drop', (e) => {
+            e.preventDefault();
+            saveElement.classList.remove('drag-over');
+
+            const fromIndex = parseInt(e.dataTransfer.getData('text/plain'));
+            if (isNaN(fromIndex) || fromIndex === save.index) {
+                return;
+            }
+
+            let mode = save.active ? 'swap' : 'move';
+            if (e.ctrlKey || e.altKey) {
+                mode = 'duplicate';
+            }
+            this.rearrangeSlots(fromIndex, save.index, mode);
+        });
+    }
+
+    async rearrangeSlots(fromIndex, toIndex, mode) {
+        try {
+            const result = await window.electronAPI.rearrangeSlots({
+                saveFile: this.sourceSaveFile,
+                fromIndex,
+                toIndex,
+                mode
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.sourceSaveFile = result.updatedSaveFile;
+            this.selectedSourceSave = null;
+            this.updateSourceFileDisplay();
+            this.updateActionButtons();
+
+            const verbs = { move: 'moved to', swap: 'swapped with', duplicate: 'duplicated into' };
+            this.showStatus(`Slot ${fromIndex} ${verbs[mode]} slot ${toIndex}`, 'success');
+        } catch (error) {
+            this.showStatus(`Error rearranging slots: ${error.message}`, 'error');
+        }
+    }
+
     selectSave(element, save, type) {
         // Remove previous selection
         const container = element.parentElement;
@@ -195,6 +404,13 @@ class EldenRingSaveManagerUI {
         const copyBtn = document.getElementById('copy-save-btn');
         const extractBtn = document.getElementById('extract-save-btn');
         const statsBtn = document.getElementById('advanced-stats-btn');
+        const verifyBtn = document.getElementById('verify-btn');
+        const exportAppearanceBtn = document.getElementById('export-appearance-btn');
+        const importAppearanceBtn = document.getElementById('import-appearance-btn');
+        const deleteBtn = document.getElementById('delete-character-btn');
+        const importBtn = document.getElementById('import-er-btn');
+        const extractAllBtn = document.getElementById('extract-all-btn');
+        const importBundleBtn = document.getElementById('import-bundle-btn');
 
         const hasSourceSave = this.selectedSourceSave !== null;
         const hasTargetFile = this.targetSaveFile !== null;
@@ -205,6 +421,19 @@ class EldenRingSaveManagerUI {
         // Enable extract and stats buttons if source file is loaded AND a source save is selected
         extractBtn.disabled = !(this.sourceSaveFile && hasSourceSave);
         statsBtn.disabled = !(this.sourceSaveFile && hasSourceSave);
+        exportAppearanceBtn.disabled = !(this.sourceSaveFile && hasSourceSave);
+        importAppearanceBtn.disabled = !(this.sourceSaveFile && hasSourceSave);
+        deleteBtn.disabled = !(this.sourceSaveFile && hasSourceSave && this.selectedSourceSave.active);
+
+        // Extracted saves are imported into the target file, like copies
+        importBtn.disabled = !hasTargetFile;
+        importBundleBtn.disabled = !hasTargetFile;
+
+        // Bundles take every active slot, so no selection is needed
+        extractAllBtn.disabled = !this.sourceSaveFile;
+
+        // Verify whichever files are loaded
+        verifyBtn.disabled = !(this.sourceSaveFile || hasTargetFile);
     }
 
     async showCopyDialog() {
@@ -282,7 +511,9 @@ class EldenRingSaveManagerUI {
 
             const result = await window.electronAPI.extractSave({
                 save: this.selectedSourceSave,
-                suggestedName: suggestedName
+                suggestedName: suggestedName,
+                steamId: this.sourceSaveFile.steamIds.steamId,
+                note: document.getElementById('extract-note-input').value.trim()
             });
 
             if (result.success) {
@@ -298,11 +529,264 @@ class EldenRingSaveManagerUI {
         }
     }
 
+    async exportAppearance() {
+        try {
+            this.setButtonLoading('export-appearance-btn', true, 'Exporting...');
+
+            const result = await window.electronAPI.exportAppearance({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index,
+                suggestedName: `${this.selectedSourceSave.saveHeaderInfo.characterName}_Appearance`
+            });
+
+            if (result.success) {
+                this.showStatus(`Appearance exported to ${result.filePath.split('/').pop()}`, 'success');
+            } else if (result.error !== 'Export canceled') {
+                this.showStatus(`Failed to export appearance: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Error exporting appearance: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('export-appearance-btn', false);
+        }
+    }
+
+    async importAppearance() {
+        const save = this.selectedSourceSave;
+
+        try {
+            this.setButtonLoading('import-appearance-btn', true, 'Importing...');
+
+            const result = await window.electronAPI.importAppearance({
+                saveFile: this.sourceSaveFile,
+                slotIndex: save.index
+            });
+
+            if (result.success) {
+                this.sourceSaveFile = result.updatedSaveFile;
+                this.selectedSourceSave = null;
+                this.updateSourceFileDisplay();
+                this.updateActionButtons();
+
+                this.showStatus(`Appearance of ${result.presetName} applied to ${save.saveHeaderInfo.characterName}`, 'success');
+            } else if (result.error !== 'No file selected') {
+                this.showStatus(`Failed to import appearance: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Error importing appearance: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('import-appearance-btn', false);
+        }
+    }
+
     hideExtractDialog() {
         document.getElementById('extract-dialog').classList.add('hidden');
         this.selectedSourceSave = null;
     }
 
+    async showImportDialog() {
+        if (!this.targetSaveFile) {
+            this.showStatus('Please load a target file first', 'error');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.loadExtractedSave();
+
+            if (!result.success) {
+                if (result.error !== 'No file selected') {
+                    this.showStatus(`Failed to load extracted save: ${result.error}`, 'error');
+                }
+                return;
+            }
+
+            this.extractedSave = result.extractedSave;
+            this.selectedImportSlot = null;
+
+            const info = this.extractedSave.saveHeaderInfo;
+            const metadata = this.extractedSave.metadata;
+            const playTimeFormatted = await window.electronAPI.formatPlayTime(info.secondsPlayed);
+            document.getElementById('import-preview').innerHTML = `
+                <div class="save-header">
+                    <span class="save-slot">${this.extractedSave.filePath.split('/').pop()}</span>
+                    <span class="save-active">.er v${this.extractedSave.formatVersion}</span>
+                </div>
+                <div class="save-info">
+                    <strong>${info.characterName}</strong><br>
+                    Level ${info.characterLevel} • ${playTimeFormatted}
+                    ${metadata ? `
+                        <div class="save-details">
+                            Extracted ${new Date(metadata.extractedAt).toLocaleString()}${metadata.steamId ? ` from Steam ID ${metadata.steamId}` : ''}
+                            ${metadata.note ? `<br>${metadata.note}` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+
+            await this.populateSlotSelection('import-slot-selection', this.targetSaveFile.saves, 'import');
+            document.getElementById('import-dialog').classList.remove('hidden');
+        } catch (error) {
+            this.showStatus(`Error loading extracted save: ${error.message}`, 'error');
+        }
+    }
+
+    hideImportDialog() {
+        document.getElementById('import-dialog').classList.add('hidden');
+        this.extractedSave = null;
+        this.selectedImportSlot = null;
+    }
+
+    async confirmImport() {
+        if (!this.extractedSave || this.selectedImportSlot === null) {
+            this.showStatus('Please select a target save slot', 'error');
+            return;
+        }
+
+        try {
+            this.setButtonLoading('confirm-import-btn', true, 'Importing...');
+
+            // Extracted saves carry the same header and save data as a slot, so they go through the copy path
+            const result = await window.electronAPI.copySave({
+                sourceSave: this.extractedSave,
+                targetSaveFile: this.targetSaveFile,
+                targetSlotIndex: this.selectedImportSlot
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.targetSaveFile = result.updatedTargetFile;
+            this.updateTargetFileDisplay();
+            this.showStatus(`${this.extractedSave.saveHeaderInfo.characterName} imported into slot ${this.selectedImportSlot}`, 'success');
+            this.hideImportDialog();
+        } catch (error) {
+            this.showStatus(`Error importing save: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('confirm-import-btn', false);
+        }
+    }
+
+    async extractAllSaves() {
+        try {
+            this.setButtonLoading('extract-all-btn', true, 'Extracting...');
+            this.showStatus('Extracting all saves...', 'info');
+
+            const result = await window.electronAPI.extractAllSaves({
+                saveFile: this.sourceSaveFile,
+                note: document.getElementById('extract-note-input').value.trim()
+            });
+
+            if (result.success) {
+                const count = result.manifest.entries.length;
+                this.showStatus(`${count} save${count === 1 ? '' : 's'} extracted to ${result.filePath.split('/').pop()} (${(result.size / 1024 / 1024).toFixed(2)}MB)`, 'success');
+            } else if (result.error !== 'Extract canceled') {
+                this.showStatus(`Failed to extract saves: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Error extracting saves: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('extract-all-btn', false);
+        }
+    }
+
+    async showBundleDialog() {
+        if (!this.targetSaveFile) {
+            this.showStatus('Please load a target file first', 'error');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.loadSaveBundle();
+
+            if (!result.success) {
+                if (result.error !== 'No file selected') {
+                    this.showStatus(`Failed to load save bundle: ${result.error}`, 'error');
+                }
+                return;
+            }
+
+            this.saveBundle = result;
+            const { manifest } = result;
+
+            const entryRows = await Promise.all(manifest.entries.map(async (entry, entryIndex) => {
+                const playTimeFormatted = await window.electronAPI.formatPlayTime(entry.secondsPlayed);
+                // Each entry defaults to the slot it was extracted from
+                const slotOptions = this.targetSaveFile.saves.map(save => `
+                    <option value="${save.index}" ${save.index === entry.slotIndex ? 'selected' : ''}>
+                        Slot ${save.index}${save.active ? ` (${save.saveHeaderInfo.characterName})` : ' (Empty)'}
+                    </option>
+                `).join('');
+
+                return `
+                    <div class="verify-row bundle-entry">
+                        <span><strong>${entry.characterName}</strong> • Level ${entry.level} • ${playTimeFormatted}</span>
+                        <select class="inventory-select bundle-target-select" data-entry-index="${entryIndex}">
+                            <option value="">Skip</option>
+                            ${slotOptions}
+                        </select>
+                    </div>
+                `;
+            }));
+
+            document.getElementById('bundle-file-name').innerHTML = `
+                ${result.filePath.split('/').pop()}<br>
+                <span class="dialog-hint">Extracted ${new Date(manifest.createdAt).toLocaleString()} from ${manifest.sourceFile}${manifest.note ? ` • ${manifest.note}` : ''}</span>
+            `;
+            document.getElementById('bundle-entry-list').innerHTML = entryRows.join('');
+            document.getElementById('bundle-dialog').classList.remove('hidden');
+        } catch (error) {
+            this.showStatus(`Error loading save bundle: ${error.message}`, 'error');
+        }
+    }
+
+    hideBundleDialog() {
+        document.getElementById('bundle-dialog').classList.add('hidden');
+        this.saveBundle = null;
+    }
+
+    async confirmBundleImport() {
+        const mapping = Array.from(document.querySelectorAll('.bundle-target-select'))
+            .filter(select => select.value !== '')
+            .map(select => ({
+                entryIndex: parseInt(select.dataset.entryIndex),
+                targetSlotIndex: parseInt(select.value)
+            }));
+
+        if (mapping.length === 0) {
+            this.showStatus('Please choose a target slot for at least one character', 'error');
+            return;
+        }
+
+        const targetSlots = mapping.map(({ targetSlotIndex }) => targetSlotIndex);
+        if (new Set(targetSlots).size !== targetSlots.length) {
+            this.showStatus('Each target slot can only receive one character', 'error');
+            return;
+        }
+
+        try {
+            this.setButtonLoading('confirm-bundle-btn', true, 'Importing...');
+
+            const result = await window.electronAPI.importSaveBundle({
+                targetSaveFile: this.targetSaveFile,
+                mapping
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.targetSaveFile = result.updatedTargetFile;
+            this.updateTargetFileDisplay();
+            this.showStatus(`${mapping.length} character${mapping.length === 1 ? '' : 's'} imported from the bundle`, 'success');
+            this.hideBundleDialog();
+        } catch (error) {
+            this.showStatus(`Error importing bundle: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('confirm-bundle-btn', false);
+        }
+    }
+
     async populateSlotSelection(containerId, saves, type) {
         const container = document.getElementById(containerId);
         container.innerHTML = '';
@@ -342,6 +826,8 @@ class EldenRingSaveManagerUI {
             this.selectedSourceSave = save;
         } else if (type === 'target-copy') {
             this.selectedTargetSlot = save.index;
+        } else if (type === 'import') {
+            this.selectedImportSlot = save.index;
         }
     }
 
@@ -390,7 +876,9 @@ class EldenRingSaveManagerUI {
 
             const result = await window.electronAPI.extractSave({
                 save: this.selectedSourceSave,
-                suggestedName: suggestedName
+                suggestedName: suggestedName,
+                steamId: this.sourceSaveFile.steamIds.steamId,
+                note: document.getElementById('extract-note-input').value.trim()
             });
 
             if (result.success) {
@@ -405,87 +893,495 @@ class EldenRingSaveManagerUI {
         }
     }
 
-    async refreshTargetFile() {
-        if (this.targetSaveFile) {
-            try {
-                // Note: This would need to be implemented to reload the same file
-                // For now, just refresh the display
-                this.updateTargetFileDisplay();
-            } catch (error) {
-                console.error('Error refreshing target file:', error);
-            }
+    async verifySaveFiles() {
+        const files = [
+            { label: 'Source', saveFile: this.sourceSaveFile },
+            { label: 'Target', saveFile: this.targetSaveFile }
+        ].filter(file => file.saveFile);
+
+        if (files.length === 0) {
+            this.showStatus('Please load a save file first', 'error');
+            return;
         }
-    }
 
-    async refreshUI() {
         try {
-            this.setButtonLoading('refresh-btn', true, 'Refreshing...');
-            this.showStatus('Refreshing UI...', 'info');
+            this.setButtonLoading('verify-btn', true, 'Verifying...');
+            this.showStatus('Verifying save files...', 'info');
+
+            const sections = [];
+            let allValid = true;
+            for (const file of files) {
+                const result = await window.electronAPI.verifySaveFile({ saveFile: file.saveFile });
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                allValid = allValid && result.report.valid;
+                sections.push(this.renderVerifyReport(file.label, file.saveFile.filePath, result.report));
+            }
 
-            // Add a small delay to show the loading state
-            await new Promise(resolve => setTimeout(resolve, 300));
+            document.getElementById('verify-report').innerHTML = sections.join('');
+            document.getElementById('verify-dialog').classList.remove('hidden');
 
-            this.updateSourceFileDisplay();
-            this.updateTargetFileDisplay();
-            this.updateActionButtons();
-            this.showStatus('UI refreshed', 'success');
+            if (allValid) {
+                this.showStatus('All checksums are valid', 'success');
+            } else {
+                this.showStatus('Problems found, see the integrity report', 'warning');
+            }
         } catch (error) {
-            this.showStatus(`Error refreshing UI: ${error.message}`, 'error');
+            this.showStatus(`Error verifying save file: ${error.message}`, 'error');
         } finally {
-            this.setButtonLoading('refresh-btn', false);
+            this.setButtonLoading('verify-btn', false);
         }
     }
 
-    showStatus(message, type = 'info') {
-        const statusArea = document.getElementById('status-area');
-        statusArea.textContent = message;
-        statusArea.className = `status-area ${type}`;
-
-        // Clear status after 5 seconds for success/info messages
-        if (type === 'success' || type === 'info') {
-            setTimeout(() => {
-                statusArea.textContent = '';
-                statusArea.className = 'status-area';
-            }, 5000);
-        }
+    renderVerifyReport(label, filePath, report) {
+        const statusLabels = { ok: 'OK', mismatch: 'Mismatch', empty: 'Empty' };
+
+        const headerRows = report.header.map(entry => `
+            <div class="verify-row ${entry.ok ? 'ok' : 'mismatch'}">
+                <span>${entry.check}</span>
+                <span>${entry.message}</span>
+            </div>
+        `).join('');
+
+        const slotRows = report.slots.map(slot => `
+            <div class="verify-row ${slot.status}" title="Stored ${slot.storedChecksum}, computed ${slot.computedChecksum}">
+                <span>Slot ${slot.index}</span>
+                <span>${statusLabels[slot.status]}</span>
+            </div>
+        `).join('');
+
+        const profileRow = report.profile ? `
+            <div class="verify-row ${report.profile.status}" title="Stored ${report.profile.storedChecksum}, computed ${report.profile.computedChecksum}">
+                <span>Profile (${report.profile.name})</span>
+                <span>${statusLabels[report.profile.status]}</span>
+            </div>
+        ` : '';
+
+        return `
+            <div class="verify-file">
+                <h4>${label}: ${filePath.split('/').pop()} ${report.valid ? '✅' : '⚠️'}</h4>
+                ${headerRows}
+                ${profileRow}
+                ${slotRows}
+            </div>
+        `;
     }
 
-    // Advanced Character Stats Dialog
-    async showStatsDialog() {
-        if (!this.selectedSourceSave) {
-            this.showStatus('Please select a character save first.', 'error');
-            return;
-        }
-
-        // Show dialog with loading state
-        const dialog = document.getElementById('stats-dialog');
-        dialog.classList.remove('hidden');
+    hideVerifyDialog() {
+        document.getElementById('verify-dialog').classList.add('hidden');
+    }
 
+    async startRepair() {
         try {
-            // Get character stats
-            const result = await window.electronAPI.getCharacterStats({
-                saveFile: this.sourceSaveFile,
-                slotIndex: this.selectedSourceSave.index
-            });
+            this.setButtonLoading('repair-btn', true, 'Analyzing...');
+            this.showStatus('Analyzing save file...', 'info');
+
+            const result = await window.electronAPI.repairSaveFile();
 
             if (!result.success) {
-                throw new Error(result.error);
+                if (result.error !== 'No file selected') {
+                    this.showStatus(`Failed to repair save file: ${result.error}`, 'error');
+                }
+                return;
             }
 
-            if (!result.stats) {
-                throw new Error('Could not find character stats for this save slot');
-            }
+            const { report } = result;
+            const actionLabels = {
+                intact: 'Intact',
+                empty: 'Empty',
+                'checksum rebuilt': 'Checksum rebuilt',
+                deactivated: 'Damaged, deactivated'
+            };
+            const actionClasses = {
+                intact: 'ok',
+                empty: 'empty',
+                'checksum rebuilt': 'ok',
+                deactivated: 'mismatch'
+            };
 
-            this.currentCharacterStats = result.stats;
-            this.originalStats = { ...result.stats.stats };
+            const changeRows = report.changes.length > 0
+                ? report.changes.map(change => `<div class="verify-row">${change}</div>`).join('')
+                : '<div class="verify-row ok">No problems found, the file is copied unchanged</div>';
 
-            // Get character name
-            const nameResult = await window.electronAPI.getCharacterName({
-                saveFile: this.sourceSaveFile,
-                slotIndex: this.selectedSourceSave.index
-            });
+            const slotRows = report.slots.map(slot => `
+                <div class="verify-row ${actionClasses[slot.action]}">
+                    <span>Slot ${slot.index}</span>
+                    <span>${actionLabels[slot.action]}</span>
+                </div>
+            `).join('');
 
-            const characterName = nameResult.success ? nameResult.name : `Character ${this.selectedSourceSave.index + 1}`;
+            document.getElementById('repair-file-name').textContent = result.filePath.split('/').pop();
+            document.getElementById('repair-report').innerHTML = `
+                <div class="verify-file">
+                    <h4>Changes</h4>
+                    ${changeRows}
+                </div>
+                <div class="verify-file">
+                    <h4>Slots ${report.valid ? '✅' : '⚠️'}</h4>
+                    ${slotRows}
+                </div>
+            `;
+            document.getElementById('repair-dialog').classList.remove('hidden');
+            this.showStatus('Review the repair report before saving', 'info');
+        } catch (error) {
+            this.showStatus(`Error repairing save file: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('repair-btn', false);
+        }
+    }
+
+    async saveRepairedFile() {
+        try {
+            this.setButtonLoading('save-repair-btn', true, 'Saving...');
+
+            const result = await window.electronAPI.saveRepairedFile();
+
+            if (result.success) {
+                this.showStatus(`Repaired save written to ${result.filePath.split('/').pop()}`, 'success');
+                this.hideRepairDialog();
+            } else if (result.error !== 'Save canceled') {
+                this.showStatus(`Failed to save repaired file: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Error saving repaired file: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('save-repair-btn', false);
+        }
+    }
+
+    hideRepairDialog() {
+        document.getElementById('repair-dialog').classList.add('hidden');
+    }
+
+    async showBackupDialog() {
+        try {
+            const result = await window.electronAPI.listBackups();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.backups = result.backups;
+            document.getElementById('backup-max-count').value = result.retention.maxCount;
+            document.getElementById('backup-max-age').value = result.retention.maxAgeDays;
+            document.getElementById('backup-operation-filter').value = '';
+            this.renderBackups();
+            document.getElementById('backup-dialog').classList.remove('hidden');
+        } catch (error) {
+            this.showStatus(`Error loading backups: ${error.message}`, 'error');
+        }
+    }
+
+    hideBackupDialog() {
+        document.getElementById('backup-dialog').classList.add('hidden');
+    }
+
+    renderBackups() {
+        const filter = document.getElementById('backup-operation-filter');
+        const operations = [...new Set(this.backups.map(backup => backup.operation))].sort();
+        const selectedOperation = operations.includes(filter.value) ? filter.value : '';
+
+        filter.innerHTML = `
+            <option value="">All operations</option>
+            ${operations.map(operation => `<option value="${operation}">${operation}</option>`).join('')}
+        `;
+        filter.value = selectedOperation;
+
+        const backups = this.backups.filter(backup => !selectedOperation || backup.operation === selectedOperation);
+        const list = document.getElementById('backup-list');
+
+        if (backups.length === 0) {
+            list.innerHTML = '<div class="verify-row empty">No backups yet</div>';
+            return;
+        }
+
+        // Backups arrive newest first
+        list.innerHTML = backups.map(backup => `
+            <div class="verify-row backup-entry">
+                <span>
+                    <strong>${new Date(backup.createdAt).toLocaleString()}</strong> • ${backup.operation}
+                    <div class="save-details">${backup.sourcePath.split('/').pop()} • ${(backup.size / 1024 / 1024).toFixed(2)}MB</div>
+                </span>
+                <button class="btn btn-secondary btn-small restore-backup-btn" data-id="${backup.id}" title="${backup.sourcePath}">Restore</button>
+            </div>
+        `).join('');
+    }
+
+    async saveBackupRetention() {
+        try {
+            this.setButtonLoading('save-retention-btn', true, 'Applying...');
+
+            const result = await window.electronAPI.setBackupRetention({
+                retention: {
+                    maxCount: parseInt(document.getElementById('backup-max-count').value) || 0,
+                    maxAgeDays: parseInt(document.getElementById('backup-max-age').value) || 0
+                }
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.backups = result.backups;
+            this.renderBackups();
+            this.showStatus('Backup retention updated', 'success');
+        } catch (error) {
+            this.showStatus(`Error updating backup retention: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('save-retention-btn', false);
+        }
+    }
+
+    async restoreBackup(id) {
+        try {
+            const result = await window.electronAPI.restoreBackup({ id });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const { backup, updatedSaveFile } = result;
+            this.applyChangedSaveFile(backup.sourcePath, updatedSaveFile);
+
+            this.showStatus(`${backup.sourcePath.split('/').pop()} restored to ${new Date(backup.createdAt).toLocaleString()} (before ${backup.operation})`, 'success');
+            this.hideBackupDialog();
+        } catch (error) {
+            this.showStatus(`Error restoring backup: ${error.message}`, 'error');
+        }
+    }
+
+    // Show new contents of a file that was changed outside the current dialog, if it is loaded
+    applyChangedSaveFile(filePath, updatedSaveFile) {
+        if (this.sourceSaveFile && this.sourceSaveFile.filePath === filePath) {
+            this.sourceSaveFile = updatedSaveFile;
+            this.selectedSourceSave = null;
+            this.updateSourceFileDisplay();
+        }
+        if (this.targetSaveFile && this.targetSaveFile.filePath === filePath) {
+            this.targetSaveFile = updatedSaveFile;
+            this.selectedTargetSlot = null;
+            this.updateTargetFileDisplay();
+        }
+        this.updateActionButtons();
+    }
+
+    handleSaveFileChanged(change) {
+        // Stats and inventory shown in the dialog are stale after an undo or redo
+        if (!document.getElementById('stats-dialog').classList.contains('hidden')) {
+            this.hideStatsDialog();
+        }
+
+        this.applyChangedSaveFile(change.filePath, change.updatedSaveFile);
+
+        const fileName = change.filePath.split('/').pop();
+        this.showStatus(`${change.action === 'undo' ? 'Undid' : 'Redid'} ${change.operation} in ${fileName}`, 'success');
+    }
+
+    async refreshTargetFile() {
+        if (this.targetSaveFile) {
+            try {
+                // Note: This would need to be implemented to reload the same file
+                // For now, just refresh the display
+                this.updateTargetFileDisplay();
+            } catch (error) {
+                console.error('Error refreshing target file:', error);
+            }
+        }
+    }
+
+    async refreshUI() {
+        try {
+            this.setButtonLoading('refresh-btn', true, 'Refreshing...');
+            this.showStatus('Refreshing UI...', 'info');
+
+            // Add a small delay to show the loading state
+            await new Promise(resolve => setTimeout(resolve, 300));
+
+            this.updateSourceFileDisplay();
+            this.updateTargetFileDisplay();
+            this.updateActionButtons();
+            this.showStatus('UI refreshed', 'success');
+        } catch (error) {
+            this.showStatus(`Error refreshing UI: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('refresh-btn', false);
+        }
+    }
+
+    showStatus(message, type = 'info') {
+        const statusArea = document.getElementById('status-area');
+        statusArea.textContent = message;
+        statusArea.className = `status-area ${type}`;
+
+        // Clear status after 5 seconds for success/info messages
+        if (type === 'success' || type === 'info') {
+            setTimeout(() => {
+                statusArea.textContent = '';
+                statusArea.className = 'status-area';
+            }, 5000);
+        }
+    }
+
+    // Delete Character Dialog
+    showDeleteDialog() {
+        if (!this.selectedSourceSave) {
+            this.showStatus('Please select a character to delete first', 'error');
+            return;
+        }
+
+        document.getElementById('delete-character-name').textContent = this.selectedSourceSave.saveHeaderInfo.characterName;
+        document.getElementById('delete-slot-index').textContent = this.selectedSourceSave.index;
+        document.getElementById('delete-dialog').classList.remove('hidden');
+    }
+
+    hideDeleteDialog() {
+        document.getElementById('delete-dialog').classList.add('hidden');
+    }
+
+    async confirmDeleteCharacter() {
+        const save = this.selectedSourceSave;
+
+        try {
+            this.setButtonLoading('confirm-delete-btn', true, 'Deleting...');
+
+            const result = await window.electronAPI.deleteCharacter({
+                saveFile: this.sourceSaveFile,
+                slotIndex: save.index
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.sourceSaveFile = result.updatedSaveFile;
+            this.selectedSourceSave = null;
+            this.updateSourceFileDisplay();
+            this.updateActionButtons();
+
+            this.showStatus(`${save.saveHeaderInfo.characterName} deleted, the previous file is kept in Backups`, 'success');
+            this.hideDeleteDialog();
+        } catch (error) {
+            this.showStatus(`Error deleting character: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('confirm-delete-btn', false);
+        }
+    }
+
+    // Steam ID Dialog
+    showSteamIdDialog(type) {
+        const saveFile = type === 'source' ? this.sourceSaveFile : this.targetSaveFile;
+        if (!saveFile) {
+            this.showStatus('Please load a save file first', 'error');
+            return;
+        }
+
+        this.steamIdFileType = type;
+        document.getElementById('current-steam-id').textContent = saveFile.steamIds.steamId;
+        document.getElementById('steam-id-input').value = '';
+        document.getElementById('steam-id-dialog').classList.remove('hidden');
+    }
+
+    hideSteamIdDialog() {
+        document.getElementById('steam-id-dialog').classList.add('hidden');
+        this.steamIdFileType = null;
+    }
+
+    async useReferenceSteamId() {
+        try {
+            const result = await window.electronAPI.selectReferenceSteamId();
+
+            if (result.success) {
+                document.getElementById('steam-id-input').value = result.steamId;
+            } else if (result.error !== 'No file selected') {
+                this.showStatus(`Failed to read Steam ID: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            this.showStatus(`Error reading Steam ID: ${error.message}`, 'error');
+        }
+    }
+
+    async confirmSteamIdChange() {
+        const type = this.steamIdFileType;
+        const saveFile = type === 'source' ? this.sourceSaveFile : this.targetSaveFile;
+        const steamId = document.getElementById('steam-id-input').value.trim();
+
+        if (!saveFile || !steamId) {
+            this.showStatus('Please enter a Steam ID', 'error');
+            return;
+        }
+
+        try {
+            this.setButtonLoading('confirm-steam-id-btn', true, 'Applying...');
+            this.showStatus('Changing Steam ID...', 'info');
+
+            const result = await window.electronAPI.changeSteamId({ saveFile, steamId });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            if (type === 'source') {
+                this.sourceSaveFile = result.updatedSaveFile;
+                this.updateSourceFileDisplay();
+            } else {
+                this.targetSaveFile = result.updatedSaveFile;
+                this.updateTargetFileDisplay();
+            }
+
+            const newSteamId = result.updatedSaveFile.steamIds.steamId;
+            this.showStatus(result.changed ? `Steam ID changed to ${newSteamId}` : `Steam ID is already ${newSteamId}`, 'success');
+            this.hideSteamIdDialog();
+        } catch (error) {
+            this.showStatus(`Error changing Steam ID: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('confirm-steam-id-btn', false);
+        }
+    }
+
+    // Advanced Character Stats Dialog
+    async showStatsDialog() {
+        if (!this.selectedSourceSave) {
+            this.showStatus('Please select a character save first.', 'error');
+            return;
+        }
+
+        // Show dialog with loading state
+        const dialog = document.getElementById('stats-dialog');
+        this.showStatsTab('stats-tab');
+        dialog.classList.remove('hidden');
+
+        try {
+            // Get character stats
+            const result = await window.electronAPI.getCharacterStats({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            if (!result.stats) {
+                throw new Error('Could not find character stats for this save slot');
+            }
+
+            this.currentCharacterStats = result.stats;
+            this.originalStats = { ...result.stats.stats };
+            this.originalRunes = { runes: result.stats.runes, runesMemory: result.stats.runesMemory };
+            this.originalDetails = {
+                clearCount: result.stats.clearCount,
+                archetype: result.stats.archetype,
+                bodyType: result.stats.bodyType
+            };
+
+            // Get character name
+            const nameResult = await window.electronAPI.getCharacterName({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index
+            });
+
+            const characterName = nameResult.success ? nameResult.name : `Character ${this.selectedSourceSave.index + 1}`;
             this.originalCharacterName = characterName;
 
             // Update dialog with character info
@@ -497,6 +1393,9 @@ class EldenRingSaveManagerUI {
             statInputs.forEach(stat => {
                 document.getElementById(`${stat}-input`).value = result.stats.stats[stat];
             });
+            document.getElementById('runes-input').value = result.stats.runes;
+            document.getElementById('runes-memory-input').value = result.stats.runesMemory;
+            this.populateCharacterDetails(result.stats);
 
             // Reset checkboxes
             document.getElementById('god-mode-check').checked = false;
@@ -516,6 +1415,406 @@ class EldenRingSaveManagerUI {
         document.getElementById('stats-dialog').classList.add('hidden');
         this.currentCharacterStats = null;
         this.originalStats = null;
+        this.originalRunes = null;
+        this.currentInventory = null;
+        this.currentLoadout = null;
+        this.hideWeaponPanel();
+    }
+
+    showStatsTab(tabId) {
+        document.querySelectorAll('#stats-dialog .tab-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tabId);
+        });
+        document.querySelectorAll('#stats-dialog .tab-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.id !== tabId);
+        });
+
+        // Save and Reset only apply to the stats tab
+        const isStatsTab = tabId === 'stats-tab';
+        document.getElementById('save-stats-btn').classList.toggle('hidden', !isStatsTab);
+        document.getElementById('reset-stats-btn').classList.toggle('hidden', !isStatsTab);
+
+        if (tabId === 'inventory-tab' && !this.currentInventory) {
+            this.loadInventory();
+        }
+        if (tabId === 'loadout-tab' && !this.currentLoadout) {
+            this.loadLoadout();
+        }
+    }
+
+    async loadInventory() {
+        const list = document.getElementById('inventory-list');
+        list.innerHTML = '<p class="no-saves">Loading inventory...</p>';
+
+        try {
+            const result = await window.electronAPI.getInventory({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.currentInventory = result.inventory;
+            this.renderInventory();
+            this.searchItemsToAdd();
+        } catch (error) {
+            list.innerHTML = `<p class="no-saves">Could not read inventory: ${error.message}</p>`;
+        }
+    }
+
+    renderInventory() {
+        if (!this.currentInventory) {
+            return;
+        }
+
+        const query = document.getElementById('inventory-search').value.trim().toLowerCase();
+        const category = document.getElementById('inventory-category').value;
+        const location = document.getElementById('inventory-location').value;
+
+        const entries = this.currentInventory[location]
+            .filter(entry => !category || entry.category === category)
+            .filter(entry => entry.name.toLowerCase().includes(query))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const list = document.getElementById('inventory-list');
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="no-saves">No matching items</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => {
+            const details = [entry.group];
+            if (entry.upgradeLevel !== undefined) {
+                details.push(`${entry.affinity} +${entry.upgradeLevel}`);
+            }
+            if (entry.list === 'key') {
+                details.push('Key item');
+            }
+
+            // Only stackable goods get an editable quantity
+            const quantity = entry.maxQuantity > 1
+                ? `<input type="number" class="inventory-quantity-input" min="0" max="${entry.maxQuantity}" value="${entry.quantity}">`
+                : `<span class="inventory-quantity">x${entry.quantity}</span>`;
+
+            const editButton = entry.category === 'weapon' && entry.upgradeLevel !== undefined
+                ? '<button class="btn btn-secondary btn-small inventory-edit-btn" title="Upgrade, affinity and Ash of War">Edit</button>'
+                : '';
+
+            return `
+                <div class="inventory-row" data-location="${entry.location}" data-list="${entry.list}" data-list-index="${entry.listIndex}" data-handle="${entry.handle}">
+                    <div>
+                        <div class="inventory-name">${entry.name}</div>
+                        <div class="inventory-meta">${details.join(' • ')}</div>
+                    </div>
+                    <div class="inventory-actions">
+                        ${editButton}
+                        ${quantity}
+                        <button class="btn btn-secondary btn-small inventory-remove-btn" title="Remove">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showWeaponPanel(handle) {
+        try {
+            const result = await window.electronAPI.getWeaponDetails({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index,
+                handle
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.renderWeaponPanel(result.weapon);
+            document.getElementById('inventory-browser').classList.add('hidden');
+            document.getElementById('weapon-panel').classList.remove('hidden');
+        } catch (error) {
+            this.showStatus(`Error loading weapon: ${error.message}`, 'error');
+        }
+    }
+
+    renderWeaponPanel(weapon) {
+        this.currentWeapon = weapon;
+
+        document.getElementById('weapon-panel-name').textContent =
+            `${weapon.name} (${weapon.affinities[weapon.affinity]} +${weapon.upgradeLevel})`;
+
+        const levelInput = document.getElementById('weapon-level-input');
+        levelInput.max = weapon.maxUpgradeLevel;
+        levelInput.value = weapon.upgradeLevel;
+
+        // Unique and other non-infusable weapons keep their affinity and skill
+        const affinitySelect = document.getElementById('weapon-affinity-select');
+        affinitySelect.innerHTML = weapon.affinities.map((name, index) =>
+            `<option value="${index}" ${index === weapon.affinity ? 'selected' : ''}>${name}</option>`
+        ).join('');
+        affinitySelect.disabled = !weapon.infusable;
+
+        this.renderAshOfWarOptions(weapon.aowHandle);
+        document.getElementById('weapon-aow-select').disabled = !weapon.infusable;
+
+        const upgradePath = weapon.upgrade === 'somber' ? 'Somber smithing stones' : 'Smithing stones';
+        document.getElementById('weapon-panel-hint').textContent = weapon.infusable
+            ? `${upgradePath}, +0 to +${weapon.maxUpgradeLevel}. Only Ashes of War that fit this weapon and the chosen affinity are listed.`
+            : `${upgradePath}, +0 to +${weapon.maxUpgradeLevel}. This weapon cannot take an affinity or an Ash of War.`;
+    }
+
+    renderAshOfWarOptions(selectedHandle) {
+        const weapon = this.currentWeapon;
+        const affinitySelect = document.getElementById('weapon-affinity-select');
+        const aowSelect = document.getElementById('weapon-aow-select');
+        const affinity = parseInt(affinitySelect.value);
+
+        // Only free Ashes of War that fit this weapon and allow the chosen affinity are offered
+        const ashes = weapon.ashesOfWar
+            .filter(ash => ash.attachedTo === null || ash.attachedTo === weapon.handle)
+            .filter(ash => ash.fitsWeapon && ash.affinities.includes(affinity));
+        const selectedAsh = ashes.find(ash => ash.handle === selectedHandle) || null;
+
+        aowSelect.innerHTML = [
+            `<option value="${0xFFFFFFFF}" ${selectedAsh ? '' : 'selected'}>Default skill</option>`,
+            ...ashes.map(ash => `<option value="${ash.handle}" ${ash === selectedAsh ? 'selected' : ''}>${ash.name}</option>`)
+        ].join('');
+
+        // Affinities the selected Ash of War does not allow cannot be picked
+        Array.from(affinitySelect.options).forEach(option => {
+            option.disabled = selectedAsh !== null && !selectedAsh.affinities.includes(parseInt(option.value));
+        });
+    }
+
+    hideWeaponPanel() {
+        this.currentWeapon = null;
+        document.getElementById('weapon-panel').classList.add('hidden');
+        document.getElementById('inventory-browser').classList.remove('hidden');
+    }
+
+    async applyWeaponChanges() {
+        if (!this.currentWeapon) {
+            return;
+        }
+
+        try {
+            this.setButtonLoading('apply-weapon-btn', true, 'Applying...');
+
+            const result = await window.electronAPI.setWeaponProperties({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index,
+                options: {
+                    handle: this.currentWeapon.handle,
+                    upgradeLevel: parseInt(document.getElementById('weapon-level-input').value),
+                    affinity: parseInt(document.getElementById('weapon-affinity-select').value),
+                    aowHandle: parseInt(document.getElementById('weapon-aow-select').value)
+                }
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.sourceSaveFile = result.updatedSaveFile;
+            this.currentInventory = result.inventory;
+            this.currentLoadout = null;
+            this.renderWeaponPanel(result.weapon);
+            this.renderInventory();
+            this.showStatus('Weapon updated', 'success');
+        } catch (error) {
+            this.showStatus(`Error editing weapon: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('apply-weapon-btn', false);
+        }
+    }
+
+    async loadLoadout() {
+        const list = document.getElementById('loadout-list');
+        list.innerHTML = '<p class="no-saves">Loading equipment...</p>';
+
+        try {
+            const result = await window.electronAPI.getEquipment({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.currentLoadout = result.equipment;
+            this.renderLoadout();
+        } catch (error) {
+            list.innerHTML = `<p class="no-saves">Could not read equipment: ${error.message}</p>`;
+        }
+    }
+
+    renderLoadout() {
+        if (!this.currentLoadout) {
+            return;
+        }
+
+        const { equipment, quickItems, pouch } = this.currentLoadout;
+        const numbered = (label, slots) => slots.map((slot, i) => ({ slot, label: `${label} ${i + 1}` }));
+        const groups = [
+            { title: 'Right Hand', slots: numbered('Right Hand', ['rightHand1', 'rightHand2', 'rightHand3']) },
+            { title: 'Left Hand', slots: numbered('Left Hand', ['leftHand1', 'leftHand2', 'leftHand3']) },
+            {
+                title: 'Ammunition',
+                slots: [...numbered('Arrows', ['arrows1', 'arrows2']), ...numbered('Bolts', ['bolts1', 'bolts2'])]
+            },
+            {
+                title: 'Armor',
+                slots: [
+                    { slot: 'head', label: 'Head' },
+                    { slot: 'chest', label: 'Chest' },
+                    { slot: 'arms', label: 'Arms' },
+                    { slot: 'legs', label: 'Legs' }
+                ]
+            },
+            { title: 'Talismans', slots: numbered('Talisman', ['talisman1', 'talisman2', 'talisman3', 'talisman4']) }
+        ];
+
+        const renderRow = (slot, label, equipped) => {
+            const options = equipped.candidates
+                .filter(candidate => candidate.handle !== equipped.handle)
+                .map(candidate => `<option value="${candidate.list}:${candidate.listIndex}">${candidate.name}</option>`)
+                .join('');
+            const current = equipped.upgradeLevel !== undefined && !equipped.empty
+                ? `${equipped.name} (${equipped.affinity} +${equipped.upgradeLevel})`
+                : equipped.name;
+
+            return `
+                <div class="loadout-row">
+                    <label>${label}</label>
+                    <select class="inventory-select loadout-select" data-slot="${slot}" ${options ? '' : 'disabled'}>
+                        <option value="" selected>${current}</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        };
+
+        const sections = groups.map(group => `
+            <div class="loadout-group">
+                <h4>${group.title}</h4>
+                ${group.slots.map(({ slot, label }) => renderRow(slot, label, equipment[slot])).join('')}
+            </div>
+        `);
+
+        sections.push(`
+            <div class="loadout-group">
+                <h4>Quick Items</h4>
+                ${quickItems.map(item => renderRow(`quickItem${item.index + 1}`, `Quick Item ${item.index + 1}`, item)).join('')}
+            </div>
+            <div class="loadout-group">
+                <h4>Pouch</h4>
+                ${pouch.map(item => renderRow(`pouch${item.index + 1}`, `Pouch ${item.index + 1}`, item)).join('')}
+            </div>
+        `);
+
+        document.getElementById('loadout-list').innerHTML = sections.join('');
+    }
+
+    async equipItem(slot, value) {
+        const [list, listIndex] = value.split(':');
+        if (!list) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.equipItem({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index,
+                options: { slot, list, listIndex: parseInt(listIndex) }
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.sourceSaveFile = result.updatedSaveFile;
+            this.currentLoadout = result.equipment;
+            this.showStatus('Item equipped', 'success');
+        } catch (error) {
+            this.showStatus(`Error equipping item: ${error.message}`, 'error');
+        } finally {
+            this.renderLoadout();
+        }
+    }
+
+    async searchItemsToAdd() {
+        const result = await window.electronAPI.searchItems({
+            query: document.getElementById('add-item-search').value,
+            category: document.getElementById('inventory-category').value
+        });
+
+        const select = document.getElementById('add-item-select');
+        if (!result.success || result.items.length === 0) {
+            select.innerHTML = '<option value="">No matching items</option>';
+            return;
+        }
+
+        select.innerHTML = result.items.map(item =>
+            `<option value="${item.category}:${item.id}">${item.name}</option>`
+        ).join('');
+    }
+
+    async addInventoryItem() {
+        const [category, itemId] = document.getElementById('add-item-select').value.split(':');
+        if (!itemId) {
+            this.showStatus('Please choose an item to add.', 'error');
+            return;
+        }
+
+        await this.editInventory('addInventoryItem', {
+            location: document.getElementById('inventory-location').value,
+            category,
+            itemId: parseInt(itemId),
+            quantity: parseInt(document.getElementById('add-item-quantity').value) || 1
+        }, 'Item added');
+    }
+
+    async setInventoryQuantity(entry, quantity) {
+        await this.editInventory('setInventoryQuantity', {
+            location: entry.location,
+            list: entry.list,
+            listIndex: parseInt(entry.listIndex),
+            quantity: Number.isNaN(quantity) ? 0 : quantity
+        }, quantity === 0 ? 'Item removed' : 'Quantity updated');
+    }
+
+    async removeInventoryItem(entry) {
+        await this.editInventory('removeInventoryItem', {
+            location: entry.location,
+            list: entry.list,
+            listIndex: parseInt(entry.listIndex)
+        }, 'Item removed');
+    }
+
+    async editInventory(method, options, successMessage) {
+        try {
+            const result = await window.electronAPI[method]({
+                saveFile: this.sourceSaveFile,
+                slotIndex: this.selectedSourceSave.index,
+                options
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.sourceSaveFile = result.updatedSaveFile;
+            this.currentInventory = result.inventory;
+            this.currentLoadout = null;
+            this.showStatus(successMessage, 'success');
+        } catch (error) {
+            this.showStatus(`Error editing inventory: ${error.message}`, 'error');
+        } finally {
+            // Also restores the previous value after a rejected quantity
+            this.renderInventory();
+        }
     }
 
     updateLevel() {
@@ -548,9 +1847,61 @@ class EldenRingSaveManagerUI {
             levelChangeElement.className = 'level-change neutral';
         }
 
+        this.updateClassWarning();
         this.updateDisplayValues();
     }
 
+    populateCharacterDetails({ clearCount, archetype, bodyType }) {
+        const { maxClearCount, classes, bodyTypes } = this.currentCharacterStats;
+
+        const journeys = [];
+        for (let cycle = 0; cycle <= maxClearCount; cycle++) {
+            journeys.push(`<option value="${cycle}">${cycle === 0 ? 'NG (Journey 1)' : `NG+${cycle} (Journey ${cycle + 1})`}</option>`);
+        }
+        document.getElementById('journey-select').innerHTML = journeys.join('');
+        document.getElementById('class-select').innerHTML = classes
+            .map(characterClass => `<option value="${characterClass.index}">${characterClass.name}</option>`)
+            .join('');
+        document.getElementById('body-type-select').innerHTML = bodyTypes
+            .map((name, index) => `<option value="${index}">${name}</option>`)
+            .join('');
+
+        document.getElementById('journey-select').value = Math.min(clearCount, maxClearCount);
+        document.getElementById('class-select').value = archetype;
+        document.getElementById('body-type-select').value = bodyType;
+        this.updateClassWarning();
+    }
+
+    readCharacterDetails() {
+        return {
+            clearCount: parseInt(document.getElementById('journey-select').value),
+            archetype: parseInt(document.getElementById('class-select').value),
+            bodyType: parseInt(document.getElementById('body-type-select').value)
+        };
+    }
+
+    updateClassWarning() {
+        const warning = document.getElementById('class-base-warning');
+        if (!this.currentCharacterStats) {
+            return;
+        }
+
+        // Attributes below the class's starting values mark a character as suspicious in game
+        const characterClass = this.currentCharacterStats.classes[parseInt(document.getElementById('class-select').value)];
+        const belowBase = [];
+        Object.entries(characterClass ? characterClass.baseStats : {}).forEach(([stat, baseValue]) => {
+            const input = document.getElementById(`${stat}-input`);
+            const isBelow = (parseInt(input.value) || 1) < baseValue;
+            input.classList.toggle('below-base', isBelow);
+            if (isBelow) {
+                belowBase.push(`${stat.charAt(0).toUpperCase()}${stat.slice(1)} ${baseValue}`);
+            }
+        });
+
+        warning.textContent = belowBase.length > 0 ? `Below class base: ${belowBase.join(', ')}` : '';
+        warning.classList.toggle('warning', belowBase.length > 0);
+    }
+
     updateDisplayValues() {
         const godMode = document.getElementById('god-mode-check').checked;
         const autoCalc = document.getElementById('auto-calc-check').checked;
@@ -636,6 +1987,41 @@ class EldenRingSaveManagerUI {
                 this.sourceSaveFile = nameResult.updatedSaveFile;
             }
 
+            // Save runes if either value has changed
+            const runes = parseInt(document.getElementById('runes-input').value) || 0;
+            const runesMemory = parseInt(document.getElementById('runes-memory-input').value) || 0;
+            if (runes !== this.originalRunes.runes || runesMemory !== this.originalRunes.runesMemory) {
+                const runesResult = await window.electronAPI.setCharacterRunes({
+                    saveFile: this.sourceSaveFile,
+                    slotIndex: this.currentCharacterStats.slotIndex,
+                    runes,
+                    runesMemory
+                });
+
+                if (!runesResult.success) {
+                    throw new Error(`Failed to update runes: ${runesResult.error}`);
+                }
+
+                this.sourceSaveFile = runesResult.updatedSaveFile;
+            }
+
+            // Save journey, class and body type if any of them has changed
+            const details = this.readCharacterDetails();
+            const changedDetails = Object.keys(details).some(field => details[field] !== this.originalDetails[field]);
+            if (changedDetails) {
+                const detailsResult = await window.electronAPI.setCharacterDetails({
+                    saveFile: this.sourceSaveFile,
+                    slotIndex: this.currentCharacterStats.slotIndex,
+                    details
+                });
+
+                if (!detailsResult.success) {
+                    throw new Error(`Failed to update character details: ${detailsResult.error}`);
+                }
+
+                this.sourceSaveFile = detailsResult.updatedSaveFile;
+            }
+
             // Refresh the source saves list to show updated data
             const sourceSavesListElement = document.getElementById('source-saves-list');
             this.renderSavesList(sourceSavesListElement, this.sourceSaveFile.saves, 'source');
@@ -661,8 +2047,11 @@ class EldenRingSaveManagerUI {
             document.getElementById(`${stat}-input`).value = this.originalStats[stat];
         });
 
-        // Reset character name
+        // Reset character name and runes
         document.getElementById('character-name-input').value = this.originalCharacterName || '';
+        document.getElementById('runes-input').value = this.originalRunes.runes;
+        document.getElementById('runes-memory-input').value = this.originalRunes.runesMemory;
+        this.populateCharacterDetails(this.originalDetails);
 
         // Reset checkboxes
         document.getElementById('god-mode-check').checked = false;
@@ -794,6 +2183,13 @@ document.addEventListener('DOMContentLoaded', () => {
             const copyDialog = document.getElementById('copy-dialog');
             const extractDialog = document.getElementById('extract-dialog');
             const statsDialog = document.getElementById('stats-dialog');
+            const steamIdDialog = document.getElementById('steam-id-dialog');
+            const deleteDialog = document.getElementById('delete-dialog');
+            const importDialog = document.getElementById('import-dialog');
+            const bundleDialog = document.getElementById('bundle-dialog');
+            const backupDialog = document.getElementById('backup-dialog');
+            const verifyDialog = document.getElementById('verify-dialog');
+            const repairDialog = document.getElementById('repair-dialog');
 
             if (!copyDialog.classList.contains('hidden')) {
                 window.saveManagerUI.hideCopyDialog();
@@ -804,6 +2200,27 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!statsDialog.classList.contains('hidden')) {
                 window.saveManagerUI.hideStatsDialog();
             }
+            if (!steamIdDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideSteamIdDialog();
+            }
+            if (!deleteDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideDeleteDialog();
+            }
+            if (!importDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideImportDialog();
+            }
+            if (!bundleDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideBundleDialog();
+            }
+            if (!backupDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideBackupDialog();
+            }
+            if (!verifyDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideVerifyDialog();
+            }
+            if (!repairDialog.classList.contains('hidden')) {
+                window.saveManagerUI.hideRepairDialog();
+            }
         }
     });
 });
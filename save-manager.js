@@ -1,17 +1,263 @@
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const itemDatabase = require('./item-database');
+
+// Order of the equipped item IDs shared by the profile summary and the character slot
+const EQUIPMENT_SLOTS = [
+    'leftHand1', 'rightHand1', 'leftHand2', 'rightHand2', 'leftHand3', 'rightHand3',
+    'arrows1', 'bolts1', 'arrows2', 'bolts2', 'unused1', 'unused2',
+    'head', 'chest', 'arms', 'legs', 'unused3',
+    'talisman1', 'talisman2', 'talisman3', 'talisman4', 'unused4'
+];
+
+// Starting classes, indexed by the archetype byte
+const ARCHETYPES = [
+    'Vagabond', 'Warrior', 'Hero', 'Bandit', 'Astrologer',
+    'Prophet', 'Confessor', 'Samurai', 'Prisoner', 'Wretch'
+];
+
+// Attribute order used by PlayerGameData and the stats dialog
+const STAT_NAMES = ['vigor', 'mind', 'endurance', 'strength', 'dexterity', 'intelligence', 'faith', 'arcane'];
+
+// Starting attributes of each class in STAT_NAMES order, indexed like ARCHETYPES.
+// The game flags characters with an attribute below their class's starting value.
+const CLASS_BASE_STATS = [
+    [15, 10, 11, 14, 13, 9, 9, 7],
+    [11, 12, 11, 10, 16, 10, 8, 9],
+    [14, 9, 12, 16, 9, 7, 8, 11],
+    [10, 11, 10, 9, 13, 9, 8, 14],
+    [9, 15, 9, 8, 12, 16, 7, 9],
+    [10, 14, 8, 11, 10, 7, 16, 10],
+    [10, 13, 10, 12, 12, 9, 14, 9],
+    [12, 11, 13, 12, 15, 9, 8, 8],
+    [11, 12, 11, 11, 14, 14, 6, 9],
+    [10, 10, 10, 10, 10, 10, 10, 10]
+];
+
+// Body types, indexed by the bodyType byte
+const BODY_TYPES = ['Type B', 'Type A'];
+
+// Field offsets inside the 0x1B0 byte PlayerGameData block of a character slot
+const PLAYER_GAME_DATA = {
+    length: 0x1B0,
+    health: 0x08,
+    fp: 0x14,
+    stamina: 0x24,
+    stats: 0x34,
+    level: 0x60,
+    runes: 0x64,
+    runesMemory: 0x68,
+    characterName: 0x94,
+    bodyType: 0xB6,
+    archetype: 0xB7,
+    startingGift: 0xBB
+};
+
+// Field offsets inside the gameMan section of a character slot
+const GAME_MAN = {
+    clearCount: 0x0C
+};
+
+// Journeys past NG+7 keep the NG+7 scaling, so the game stops counting there
+const MAX_CLEAR_COUNT = 7;
+
+// Face preview data inside a profile summary entry
+const HEADER_FACE_DATA = { offset: 0x36, length: 0x120 };
+
+// Equipped item IDs inside a profile summary entry, one u32 per EQUIPMENT_SLOTS entry after the face data
+const HEADER_EQUIPMENT = 0x156;
+
+// Identifies appearance preset files written by exportAppearance
+const APPEARANCE_PRESET_FORMAT = 'elden-ring-appearance';
+const APPEARANCE_PRESET_VERSION = 1;
+
+// Offsets of the body type and archetype bytes inside a profile summary entry
+const HEADER_BODY_TYPE = 0x23E;
+const HEADER_ARCHETYPE = 0x23F;
+
+// Extracted save (.er) container. Version 1 files are a bare zstd stream of the payload (header entry,
+// slot checksum, slot data). Version 2 files start with the magic, a u32 version and a u32 metadata
+// length, followed by the JSON metadata, the SHA-256 of the uncompressed payload and the zstd stream.
+const EXTRACTED_SAVE_MAGIC = Buffer.from('ERSM', 'ascii');
+const EXTRACTED_SAVE_VERSION = 2;
+const ZSTD_FRAME_MAGIC = Buffer.from([0x28, 0xB5, 0x2F, 0xFD]);
+const SHA256_LENGTH = 32;
+
+// Save bundle written by Extract All: magic, u32 version, u32 manifest length, the JSON manifest and
+// then the version 2 .er file of every entry at the offsets listed in the manifest
+const SAVE_BUNDLE_MAGIC = Buffer.from('ERSB', 'ascii');
+const SAVE_BUNDLE_VERSION = 1;
+
+// In-game cap for held runes and rune memory
+const MAX_RUNES = 999999999;
+
+// Gaitem handle types (top nibble of the handle)
+const GAITEM_TYPES = {
+    0x80000000: 'weapon',
+    0x90000000: 'armor',
+    0xA0000000: 'talisman',
+    0xB0000000: 'item',
+    0xC0000000: 'ashOfWar'
+};
+
+// Entry capacities of the held inventory and the storage box.
+// Each list is a u32 count followed by capacity * 12 byte entries (handle, quantity, acquisition index).
+const INVENTORY_LAYOUTS = {
+    heldInventory: { commonCapacity: 0xA80, keyCapacity: 0x180 },
+    storageInventory: { commonCapacity: 0x780, keyCapacity: 0x80 }
+};
+const INVENTORY_ENTRY_SIZE = 12;
+
+// Inventory locations as exposed to the UI, mapped to their slot sections
+const INVENTORY_LOCATIONS = {
+    held: 'heldInventory',
+    storage: 'storageInventory'
+};
+
+// Categories whose inventory handle points into the gaitem map instead of encoding the item ID
+const GAITEM_CATEGORIES = ['weapon', 'armor', 'ashOfWar'];
+
+const inventoryLength = ({ commonCapacity, keyCapacity }) =>
+    4 + (commonCapacity * INVENTORY_ENTRY_SIZE) + 4 + (keyCapacity * INVENTORY_ENTRY_SIZE) + 8;
+
+// Layout of the equippedItems section: ten quick items, the active quick slot and six pouch entries.
+// Each entry is a gaitem handle followed by an equip index.
+const EQUIPPED_ITEMS = {
+    quickItems: { offset: 0x00, count: 10 },
+    activeQuickSlot: 0x50,
+    pouch: { offset: 0x54, count: 6 }
+};
+
+// equippedArmamentsAndItems mirrors the item IDs of the equipment slots, then the quick items and the pouch
+const EQUIPPED_ITEM_ID_MIRROR = {
+    quickItems: EQUIPMENT_SLOTS.length,
+    pouch: EQUIPMENT_SLOTS.length + EQUIPPED_ITEMS.quickItems.count
+};
+
+// Order of the u32 fields in the activeWeaponSlots section
+const ACTIVE_WEAPON_SLOTS = ['armStyle', 'leftHand', 'rightHand', 'leftArrow', 'rightArrow', 'leftBolt', 'rightBolt'];
+
+// Highest reinforcement level per upgrade path
+const MAX_UPGRADE_LEVELS = {
+    normal: 25,
+    somber: 10,
+    none: 0
+};
+
+// Item database groups accepted by the arrow and bolt slots
+const AMMUNITION_SLOT_GROUPS = {
+    arrows: ['Arrows', 'Greatarrows'],
+    bolts: ['Bolts', 'Greatbolts']
+};
+
+// Ash of War handle of a weapon that uses its default skill
+const DEFAULT_ASH_OF_WAR = 0xFFFFFFFF;
+
+// Item database groups accepted by the armor slots
+const ARMOR_SLOT_GROUPS = {
+    head: 'Helms',
+    chest: 'Chest Armor',
+    arms: 'Gauntlets',
+    legs: 'Leg Armor'
+};
+
+// Sections that follow PlayerGameData in a character slot, in file order.
+// Counted sections start with a u32 entry count followed by count * entrySize bytes.
+const SLOT_SECTIONS = [
+    { name: 'spEffects', length: 0xD0 },
+    { name: 'equippedItemsEquipIndex', length: 0x58 },
+    { name: 'activeWeaponSlots', length: 0x1C },
+    { name: 'equippedItemsItemId', length: 0x58 },
+    { name: 'equippedItemsGaitemHandle', length: 0x58 },
+    { name: 'heldInventory', length: inventoryLength(INVENTORY_LAYOUTS.heldInventory) },
+    { name: 'equippedSpells', length: 0x74 },
+    { name: 'equippedItems', length: 0x8C },
+    { name: 'equippedGestures', length: 0x18 },
+    { name: 'acquiredProjectiles', entrySize: 8, maxCount: 0x100 },
+    { name: 'equippedArmamentsAndItems', length: 0x9C },
+    { name: 'equippedPhysics', length: 0xC },
+    { name: 'faceData', length: 0x12F },
+    { name: 'storageInventory', length: inventoryLength(INVENTORY_LAYOUTS.storageInventory) },
+    { name: 'gestureGameData', length: 0x100 },
+    { name: 'unlockedRegions', entrySize: 4, maxCount: 0x400 },
+    { name: 'rideGameData', length: 0x28 },
+    { name: 'controlByte', length: 1 },
+    { name: 'bloodStain', length: 0x44 },
+    { name: 'unknown', length: 8 },
+    { name: 'menuProfileSaveLoad', length: 0x1008 },
+    { name: 'trophyEquipData', length: 0x34 },
+    { name: 'gaitemGameData', length: 0x1B588 },
+    { name: 'tutorialData', length: 0x408 },
+    { name: 'gameMan', length: 0x1D },
+    { name: 'eventFlags', length: 0x1BF99F }
+];
+
+// Fields between the end of the event flags and the Steam ID of a character slot, in file order.
+// Size-prefixed blocks start with a u32 byte count; minVersion marks fields added by later game versions.
+const SLOT_STEAM_ID_PATH = [
+    { name: 'eventFlagsTerminator', length: 1 },
+    { name: 'fieldArea', sizePrefixed: true },
+    { name: 'worldArea', sizePrefixed: true },
+    { name: 'worldGeomMan', sizePrefixed: true },
+    { name: 'worldGeomMan2', sizePrefixed: true },
+    { name: 'rendMan', sizePrefixed: true },
+    { name: 'playerCoordinates', length: 0x3D },
+    { name: 'spawnPoint', length: 0xA },
+    { name: 'tempSpawnPoint', length: 4, minVersion: 65 },
+    { name: 'gameManFlag', length: 1, minVersion: 66 },
+    { name: 'netMan', length: 0x20004 },
+    { name: 'worldAreaWeather', length: 0xC },
+    { name: 'worldAreaTime', length: 0xC },
+    { name: 'baseVersion', length: 0x10 }
+];
+
+// Area names keyed by the first number of a map ID (mAA_BB_CC_DD)
+const MAP_AREAS = {
+    10: 'Stormveil Castle',
+    11: 'Leyndell',
+    12: 'Underground',
+    13: 'Crumbling Farum Azula',
+    14: 'Academy of Raya Lucaria',
+    15: "Miquella's Haligtree",
+    16: 'Volcano Manor',
+    18: 'Stranded Graveyard',
+    19: 'Stone Platform',
+    20: 'Belurat and Enir-Ilim',
+    21: 'Shadow Keep',
+    30: 'Catacombs',
+    31: 'Caves',
+    32: 'Tunnels',
+    34: 'Divine Towers',
+    35: 'Subterranean Shunning-Grounds',
+    39: 'Ruin-Strewn Precipice',
+    60: 'The Lands Between',
+    61: 'Realm of Shadow'
+};
 
 class EldenRingSaveManager {
     constructor() {
         this.CHECKSUM_LENGTH = 16;
-        this.HEADER_DATA_OFFSET = 26221838;
         this.HEADER_DATA_LENGTH = 588;
         this.SAVE_DATA_LENGTH = 2621440;
-        this.SAVE_HEADERS_SECTION_OFFSET = 26215344;
         this.SAVE_HEADERS_SECTION_LENGTH = 393216;
-        this.ACTIVE_SAVE_SLOT_OFFSET = 26221828;
-        this.STEAM_ID_OFFSET = 26215348;
+        this.SAVE_SLOT_COUNT = 10;
         this.SAVE_IDENTIFIER = "USER_DATA";
+        this.SAVE_HEADERS_SECTION_NAME = "USER_DATA010";
+
+        // Offsets inside the USER_DATA010 section, relative to the end of its checksum
+        this.STEAM_ID_OFFSET = 0x4;
+        this.ACTIVE_SAVE_SLOT_OFFSET = 0x1954;
+        this.HEADER_DATA_OFFSET = 0x195E;
+
+        // Container layout of a PC save as written by the game, used to repair damaged headers
+        this.CONTAINER_TEMPLATE = {
+            version: '00000001',
+            rawFormat: 0x20,
+            fileFlags: 0x50,
+            firstDataOffset: 0x300,
+            regulationLength: 0x240000
+        };
 
         this.zstd = null;
         this.zstdPromise = null;
@@ -25,7 +271,8 @@ class EldenRingSaveManager {
         this.zstdPromise = (async () => {
             try {
                 const { ZstdCodec } = require('zstd-codec');
-                this.zstd = await ZstdCodec.run(zstd => zstd);
+                // ZstdCodec.run reports readiness through its callback and does not return the codec
+                this.zstd = await new Promise(resolve => ZstdCodec.run(zstd => resolve(new zstd.Simple())));
                 return this.zstd;
             } catch (error) {
                 console.error('Failed to initialize Zstd:', error);
@@ -58,14 +305,66 @@ class EldenRingSaveManager {
      */
     parseSaveFile(buffer, filePath) {
         const reader = new BufferReader(buffer);
+        const header = this.readContainerHeader(reader);
+
+        // Read game file headers
+        const gameFileHeaders = this.readGameFileHeaders(reader, header.fileCount, header.format, header.unicode, header.bigEndian);
+
+        // Locate the save sections before touching any data
+        const layout = this.buildSaveLayout(gameFileHeaders, buffer.length);
+
+        // Read game files
+        const gameFiles = this.readGameFiles(reader, gameFileHeaders, header.format);
+
+        // Process saves
+        const saves = this.processSaves(buffer, gameFiles, layout);
+
+        // Parse the profile section that backs the load screen
+        const profile = this.parseProfileSection(
+            buffer.slice(layout.profile.dataOffset, layout.profile.dataOffset + layout.profile.dataLength)
+        );
+
+        // Check which slots carry the profile's Steam ID
+        const steamIds = this.readSteamIds(buffer, layout);
+
+        return {
+            filePath,
+            ...header,
+            gameFileHeaders,
+            gameFiles,
+            layout,
+            profile,
+            steamIds,
+            saves,
+            buffer
+        };
+    }
+
+    /**
+     * Read only the BND4 header and file table and derive the save layout from it
+     * @param {Buffer} buffer - Save file buffer
+     * @returns {Object} Save layout (see buildSaveLayout)
+     */
+    getSaveLayout(buffer) {
+        const reader = new BufferReader(buffer);
+        const header = this.readContainerHeader(reader);
+        const gameFileHeaders = this.readGameFileHeaders(reader, header.fileCount, header.format, header.unicode, header.bigEndian);
+        return this.buildSaveLayout(gameFileHeaders, buffer.length);
+    }
 
+    /**
+     * Read the fixed 0x40 byte BND4 header
+     */
+    readContainerHeader(reader) {
         // Check magic number
         const magic = reader.readString(4);
         if (magic !== 'BND4') {
             throw new Error('Invalid save file format. Expected BND4.');
         }
 
-        reader.skip(5);
+        const unk04 = reader.readBoolean();
+        const unk05 = reader.readBoolean();
+        reader.skip(3);
 
         // Read header info
         const bigEndian = reader.readBoolean();
@@ -75,7 +374,7 @@ class EldenRingSaveManager {
         const headerSize = reader.readBigInt64LE();
         const version = reader.readString(8);
         const fileHeaderSize = reader.readBigInt64LE();
-        reader.skip(8);
+        const headersEnd = reader.readBigInt64LE();
         const unicode = reader.readBoolean();
 
         // Read format
@@ -88,34 +387,90 @@ class EldenRingSaveManager {
         const extended = reader.readUInt8();
         reader.skip(13);
 
-        // Read game file headers
-        const gameFileHeaders = this.readGameFileHeaders(reader, fileCount, format, unicode, bigEndian);
-
-        // Read game files
-        const gameFiles = this.readGameFiles(reader, gameFileHeaders, format);
-
-        // Process saves
-        const saves = this.processSaves(buffer, gameFiles);
-
         return {
-            filePath,
+            unk04,
+            unk05,
             bigEndian,
             bitBigEndian,
             fileCount,
             headerSize,
             version,
             fileHeaderSize,
+            headersEnd,
             unicode,
             rawFormat,
             format,
-            extended,
-            gameFileHeaders,
-            gameFiles,
-            saves,
-            buffer
+            extended
+        };
+    }
+
+    /**
+     * Derive absolute offsets of every save section from the BND4 file table
+     * @param {Array} gameFileHeaders - Headers returned by readGameFileHeaders
+     * @param {number} fileLength - Total size of the save file in bytes
+     * @returns {Object} Slot and profile section offsets
+     */
+    buildSaveLayout(gameFileHeaders, fileLength) {
+        const describeEntry = (name, expectedLength) => {
+            const header = gameFileHeaders.find(entry => entry.name === name);
+            if (!header) {
+                throw new Error(`Save file is missing the ${name} entry`);
+            }
+
+            const checksumOffset = Number(header.dataOffset);
+            const size = Number(header.compressedSize);
+            if (size !== this.CHECKSUM_LENGTH + expectedLength) {
+                throw new Error(`${name} is ${size} bytes, expected ${this.CHECKSUM_LENGTH + expectedLength}`);
+            }
+            if (checksumOffset < 0 || checksumOffset + size > fileLength) {
+                throw new Error(`${name} points outside the file`);
+            }
+
+            return {
+                name,
+                checksumOffset,
+                dataOffset: checksumOffset + this.CHECKSUM_LENGTH,
+                dataLength: expectedLength
+            };
+        };
+
+        const slots = [];
+        for (let index = 0; index < this.SAVE_SLOT_COUNT; index++) {
+            const name = `${this.SAVE_IDENTIFIER}${String(index).padStart(3, '0')}`;
+            slots.push({ index, ...describeEntry(name, this.SAVE_DATA_LENGTH) });
+        }
+
+        const profile = describeEntry(this.SAVE_HEADERS_SECTION_NAME, this.SAVE_HEADERS_SECTION_LENGTH);
+
+        // Sections must not overlap, otherwise writing one would clobber another
+        const sections = [...slots, profile].sort((a, b) => a.checksumOffset - b.checksumOffset);
+        for (let i = 1; i < sections.length; i++) {
+            const previous = sections[i - 1];
+            if (previous.dataOffset + previous.dataLength > sections[i].checksumOffset) {
+                throw new Error(`${previous.name} overlaps ${sections[i].name}`);
+            }
+        }
+
+        return {
+            slots,
+            profile,
+            steamIdOffset: profile.dataOffset + this.STEAM_ID_OFFSET,
+            activeSaveSlotOffset: profile.dataOffset + this.ACTIVE_SAVE_SLOT_OFFSET,
+            headerDataOffset: profile.dataOffset + this.HEADER_DATA_OFFSET
         };
     }
 
+    /**
+     * Get the layout entry for a character slot
+     */
+    getSlotLayout(layout, slotIndex) {
+        const slot = layout.slots[slotIndex];
+        if (!slot) {
+            throw new Error(`Invalid save slot ${slotIndex}`);
+        }
+        return slot;
+    }
+
     /**
      * Read game file headers from BND4 format
      */
@@ -161,9 +516,10 @@ class EldenRingSaveManager {
                 }
             }
 
+            let reserved = 0;
             if (format === 0x4) {
                 id = reader.readInt32LE();
-                reader.readInt32LE();
+                reserved = reader.readInt32LE();
             }
 
             headers.push({
@@ -172,7 +528,8 @@ class EldenRingSaveManager {
                 uncompressedSize,
                 dataOffset,
                 id,
-                name
+                name,
+                reserved
             });
         }
 
@@ -221,10 +578,209 @@ class EldenRingSaveManager {
         return gameFiles;
     }
 
+    /**
+     * Serialize a parsed save file back into a BND4 container
+     * @param {Object} saveFile - Parsed save data as returned by parseSaveFile
+     * @returns {Buffer} BND4 file bytes
+     */
+    serializeSaveFile(saveFile) {
+        const { gameFiles, format, unicode, bigEndian } = saveFile;
+
+        if (saveFile.extended === 4) {
+            throw new Error('BND4 hash tables are not supported');
+        }
+        if (!unicode && gameFiles.some(gameFile => gameFile.header.name !== null)) {
+            throw new Error('Only unicode file names can be written');
+        }
+
+        // Every entry still fits its original place: keep the file byte for byte and only replace entry data
+        if (this.canKeepContainerLayout(saveFile)) {
+            const output = Buffer.from(saveFile.buffer);
+            for (const gameFile of gameFiles) {
+                Buffer.from(gameFile.data).copy(output, Number(gameFile.header.dataOffset));
+            }
+            return output;
+        }
+
+        // Lay out file headers, then the name table, then 16-byte aligned file data
+        const fileHeaderSize = this.getGameFileHeaderSize(format);
+        const fileHeadersOffset = 0x40;
+        let position = fileHeadersOffset + (gameFiles.length * fileHeaderSize);
+
+        const encoding = bigEndian ? 'utf16be' : 'utf16le';
+        const nameOffsets = [];
+        const nameBytes = [];
+        for (const gameFile of gameFiles) {
+            if ((format & (0x4 | 0x8)) !== 0) {
+                const encoded = this.encodeUnicodeString(gameFile.header.name || '', encoding);
+                nameOffsets.push(position);
+                nameBytes.push(encoded);
+                position += encoded.length;
+            } else {
+                nameOffsets.push(0);
+                nameBytes.push(null);
+            }
+        }
+        const headersEnd = position;
+
+        const dataOffsets = [];
+        for (const gameFile of gameFiles) {
+            if (gameFile.data.length > 0) {
+                position = this.alignOffset(position, 0x10);
+            }
+            dataOffsets.push(position);
+            position += gameFile.data.length;
+        }
+
+        const writer = new BufferWriter(Buffer.alloc(position));
+
+        // Header
+        writer.writeString('BND4');
+        writer.writeBoolean(saveFile.unk04);
+        writer.writeBoolean(saveFile.unk05);
+        writer.skip(3);
+        writer.writeBoolean(bigEndian);
+        writer.writeBoolean(!saveFile.bitBigEndian);
+        writer.skip(1);
+        writer.writeInt32LE(gameFiles.length);
+        writer.writeBigInt64LE(BigInt(fileHeadersOffset));
+        writer.writeString(saveFile.version.padEnd(8, '\0'));
+        writer.writeBigInt64LE(BigInt(fileHeaderSize));
+        writer.writeBigInt64LE(BigInt(headersEnd));
+        writer.writeBoolean(unicode);
+        writer.writeUInt8(saveFile.rawFormat);
+        writer.writeUInt8(saveFile.extended);
+        writer.skip(13);
+
+        // File headers
+        gameFiles.forEach((gameFile, i) => {
+            const header = gameFile.header;
+            const size = BigInt(gameFile.data.length);
+
+            writer.writeUInt8(header.fileFlags);
+            writer.skip(3);
+            writer.writeInt32LE(-1);
+            writer.writeBigInt64LE(size);
+            if ((format & 0x20) !== 0) { // Compression
+                writer.writeBigInt64LE(header.uncompressedSize === -1n ? size : header.uncompressedSize);
+            }
+
+            if ((format & 0x10) !== 0) { // Long offsets
+                writer.writeBigInt64LE(BigInt(dataOffsets[i]));
+            } else {
+                writer.writeInt32LE(dataOffsets[i]);
+            }
+
+            if ((format & 0x2) !== 0) {
+                writer.writeInt32LE(header.id);
+            }
+
+            if ((format & (0x4 | 0x8)) !== 0) {
+                writer.writeInt32LE(nameOffsets[i]);
+            }
+
+            if (format === 0x4) {
+                writer.writeInt32LE(header.id);
+                writer.writeInt32LE(header.reserved || 0);
+            }
+        });
+
+        // Name table
+        nameBytes.forEach((bytes, i) => {
+            if (bytes) {
+                writer.seek(nameOffsets[i]);
+                writer.writeBytes(bytes);
+            }
+        });
+
+        // File data
+        gameFiles.forEach((gameFile, i) => {
+            writer.seek(dataOffsets[i]);
+            writer.writeBytes(gameFile.data);
+        });
+
+        // Bytes the original file carried past its last entry are kept after the new last entry
+        const trailingBytes = this.getTrailingBytes(saveFile);
+        return trailingBytes.length > 0 ? Buffer.concat([writer.buffer, trailingBytes]) : writer.buffer;
+    }
+
+    /**
+     * Check whether every entry of a parsed save file still has the size and offset it was read with
+     */
+    canKeepContainerLayout(saveFile) {
+        if (!Buffer.isBuffer(saveFile.buffer) || !saveFile.gameFileHeaders ||
+            saveFile.gameFileHeaders.length !== saveFile.gameFiles.length) {
+            return false;
+        }
+
+        return saveFile.gameFiles.every((gameFile, i) =>
+            gameFile.header === saveFile.gameFileHeaders[i] &&
+            gameFile.data.length === Number(gameFile.header.compressedSize) &&
+            Number(gameFile.header.dataOffset) + gameFile.data.length <= saveFile.buffer.length
+        );
+    }
+
+    /**
+     * Bytes of the original file that follow the end of its last entry
+     */
+    getTrailingBytes(saveFile) {
+        if (!Buffer.isBuffer(saveFile.buffer) || !saveFile.gameFileHeaders) {
+            return Buffer.alloc(0);
+        }
+
+        const dataEnd = saveFile.gameFileHeaders.reduce(
+            (end, header) => Math.max(end, Number(header.dataOffset) + Number(header.compressedSize)), 0
+        );
+        return saveFile.buffer.slice(Math.min(dataEnd, saveFile.buffer.length));
+    }
+
+    /**
+     * Size in bytes of a single file header for the given BND4 format
+     */
+    getGameFileHeaderSize(format) {
+        let size = 0x10;
+        if ((format & 0x20) !== 0) size += 8;
+        size += (format & 0x10) !== 0 ? 8 : 4;
+        if ((format & 0x2) !== 0) size += 4;
+        if ((format & (0x4 | 0x8)) !== 0) size += 4;
+        if (format === 0x4) size += 8;
+        return size;
+    }
+
+    /**
+     * Encode a null-terminated unicode string
+     */
+    encodeUnicodeString(value, encoding) {
+        const terminated = `${value}\0`;
+        if (encoding === 'utf16be') {
+            return Buffer.from(terminated, 'utf16le').swap16();
+        }
+        return Buffer.from(terminated, 'utf16le');
+    }
+
+    /**
+     * Round an offset up to the next multiple of alignment
+     */
+    alignOffset(offset, alignment) {
+        const remainder = offset % alignment;
+        return remainder === 0 ? offset : offset + (alignment - remainder);
+    }
+
+    /**
+     * Find a game file entry by name (e.g. USER_DATA010)
+     */
+    getGameFile(saveFile, name) {
+        const gameFile = saveFile.gameFiles.find(file => file.header.name === name);
+        if (!gameFile) {
+            throw new Error(`${name} entry not found in save file`);
+        }
+        return gameFile;
+    }
+
     /**
      * Process saves from game files
      */
-    processSaves(buffer, gameFiles) {
+    processSaves(buffer, gameFiles, layout) {
         const saves = [];
         const reader = new BufferReader(buffer);
 
@@ -233,11 +789,11 @@ class EldenRingSaveManager {
             if (!name || !name.startsWith(this.SAVE_IDENTIFIER)) continue;
 
             const index = parseInt(name.substring(this.SAVE_IDENTIFIER.length));
-            if (index > 9) continue;
+            if (index >= this.SAVE_SLOT_COUNT) continue;
 
             // Read header data
-            reader.seek(this.HEADER_DATA_OFFSET + (index * this.HEADER_DATA_LENGTH));
-            const active = buffer[this.ACTIVE_SAVE_SLOT_OFFSET + index] === 1;
+            reader.seek(layout.headerDataOffset + (index * this.HEADER_DATA_LENGTH));
+            const active = buffer[layout.activeSaveSlotOffset + index] === 1;
             const headerData = reader.readBytes(this.HEADER_DATA_LENGTH);
 
             // Extract save header info
@@ -262,7 +818,67 @@ class EldenRingSaveManager {
     }
 
     /**
-     * Extract save header information (character name, level, play time)
+     * @typedef {Object} ProfileEquipment
+     * @property {number[]} leftHand - Item IDs of the three left hand armaments
+     * @property {number[]} rightHand - Item IDs of the three right hand armaments
+     * @property {number[]} arrows - Item IDs of the two arrow slots
+     * @property {number[]} bolts - Item IDs of the two bolt slots
+     * @property {number} head
+     * @property {number} chest
+     * @property {number} arms
+     * @property {number} legs
+     * @property {number[]} talismans - Item IDs of the four talisman slots
+     */
+
+    /**
+     * @typedef {Object} ProfileSummary
+     * @property {string} characterName
+     * @property {number} characterLevel
+     * @property {number} secondsPlayed
+     * @property {number} runesMemory - Total runes acquired
+     * @property {string} mapId - Map the character was saved in, e.g. m60_42_36_00
+     * @property {string} location - Human readable area for mapId
+     * @property {Buffer} faceData - Face preview data shown on the load screen
+     * @property {ProfileEquipment} equipment
+     * @property {number} bodyType
+     * @property {number} archetype
+     * @property {string} archetypeName
+     * @property {number} startingGift
+     */
+
+    /**
+     * @typedef {Object} ProfileSection
+     * @property {string} steamId - Steam ID64 of the owning account, as a decimal string
+     * @property {boolean[]} activeSlots - Whether each of the ten character slots is in use
+     * @property {ProfileSummary[]} summaries - Load screen summary for each slot
+     */
+
+    /**
+     * Parse the USER_DATA010 profile section
+     * @param {Buffer} sectionData - Section data without its leading checksum
+     * @returns {ProfileSection} Parsed profile section
+     */
+    parseProfileSection(sectionData) {
+        const data = Buffer.from(sectionData);
+
+        const steamId = data.readBigUInt64LE(this.STEAM_ID_OFFSET).toString();
+
+        const activeSlots = [];
+        const summaries = [];
+        for (let index = 0; index < this.SAVE_SLOT_COUNT; index++) {
+            activeSlots.push(data[this.ACTIVE_SAVE_SLOT_OFFSET + index] === 1);
+
+            const headerOffset = this.HEADER_DATA_OFFSET + (index * this.HEADER_DATA_LENGTH);
+            summaries.push(this.extractSaveHeaderInfo(data.slice(headerOffset, headerOffset + this.HEADER_DATA_LENGTH)));
+        }
+
+        return { steamId, activeSlots, summaries };
+    }
+
+    /**
+     * Extract save header information from a 588 byte profile summary entry
+     * @param {Buffer} headerData - Header entry bytes
+     * @returns {ProfileSummary} Parsed summary
      */
     extractSaveHeaderInfo(headerData) {
         const reader = new BufferReader(Buffer.from(headerData));
@@ -277,160 +893,635 @@ class EldenRingSaveManager {
         // Seconds played (4 bytes, little endian)
         const secondsPlayed = reader.readInt32LE();
 
+        // Total runes acquired (rune memory)
+        const runesMemory = reader.readUInt32LE();
+
+        // Map the character was saved in, stored with the area number last
+        const mapBytes = reader.readBytes(4);
+        const mapId = this.formatMapId(mapBytes);
+        reader.skip(4);
+
+        // Face preview data (0x120 bytes)
+        const faceData = Buffer.from(reader.readBytes(0x120));
+
+        // Equipped gear (22 item IDs followed by data the load screen does not use)
+        const equipmentStart = reader.offset;
+        const equipmentIds = [];
+        for (let i = 0; i < EQUIPMENT_SLOTS.length; i++) {
+            equipmentIds.push(reader.readUInt32LE());
+        }
+        const equipment = this.buildEquipmentModel(equipmentIds);
+        reader.seek(equipmentStart + 0xE8);
+
+        const bodyType = reader.readUInt8();
+        const archetype = reader.readUInt8();
+        const startingGift = reader.readUInt8();
+
         return {
             characterName: characterName || 'Empty Slot',
             characterLevel,
-            secondsPlayed
+            secondsPlayed,
+            runesMemory,
+            mapId,
+            location: this.formatLocation(mapBytes),
+            faceData,
+            equipment,
+            bodyType,
+            archetype,
+            archetypeName: ARCHETYPES[archetype] || 'Unknown',
+            startingGift
         };
     }
 
+    /**
+     * Group a flat list of equipped item IDs by equipment slot
+     * @param {number[]} itemIds - Item IDs in EQUIPMENT_SLOTS order
+     * @returns {ProfileEquipment} Equipment grouped by slot
+     */
+    buildEquipmentModel(itemIds) {
+        const byName = {};
+        EQUIPMENT_SLOTS.forEach((slotName, i) => {
+            byName[slotName] = itemIds[i];
+        });
+
+        return {
+            leftHand: [byName.leftHand1, byName.leftHand2, byName.leftHand3],
+            rightHand: [byName.rightHand1, byName.rightHand2, byName.rightHand3],
+            arrows: [byName.arrows1, byName.arrows2],
+            bolts: [byName.bolts1, byName.bolts2],
+            head: byName.head,
+            chest: byName.chest,
+            arms: byName.arms,
+            legs: byName.legs,
+            talismans: [byName.talisman1, byName.talisman2, byName.talisman3, byName.talisman4]
+        };
+    }
+
+    /**
+     * Format four map ID bytes as the game's map name, e.g. m60_42_36_00
+     */
+    formatMapId(mapBytes) {
+        const parts = [mapBytes[3], mapBytes[2], mapBytes[1], mapBytes[0]];
+        return `m${parts.map(part => String(part).padStart(2, '0')).join('_')}`;
+    }
+
+    /**
+     * Describe the area a map ID belongs to
+     */
+    formatLocation(mapBytes) {
+        return MAP_AREAS[mapBytes[3]] || 'Unknown Area';
+    }
+
     /**
      * Copy a save from source to target at specified slot
      */
     copySave(sourceSave, targetSaveFile, targetSlotIndex) {
         try {
-            const updatedBuffer = Buffer.from(targetSaveFile.buffer);
+            // Work on a freshly parsed model so only the slot and profile entries change
+            const saveFile = this.parseSaveFile(Buffer.from(targetSaveFile.buffer), targetSaveFile.filePath);
 
             // Find target save slot
-            const targetSave = targetSaveFile.saves.find(save => save.index === targetSlotIndex);
+            const targetSave = saveFile.saves.find(save => save.index === targetSlotIndex);
             if (!targetSave) {
                 throw new Error(`Target save slot ${targetSlotIndex} not found`);
             }
 
-            const targetHeader = targetSave.gameFile.header;
-
             // Ensure all data is in Buffer format
-            const sourceDataChecksum = Buffer.from(sourceSave.saveDataChecksum);
             const sourceSaveData = Buffer.from(sourceSave.saveData);
             const sourceHeaderData = Buffer.from(sourceSave.headerData);
 
-            // Copy save data checksum
-            sourceDataChecksum.copy(updatedBuffer, Number(targetHeader.dataOffset));
+            // The container layout depends on every slot keeping its size
+            if (sourceSaveData.length !== targetSave.gameFile.data.length - this.CHECKSUM_LENGTH) {
+                throw new Error(`Save data is ${sourceSaveData.length} bytes, slot ${targetSlotIndex} holds ${targetSave.gameFile.data.length - this.CHECKSUM_LENGTH}`);
+            }
+
+            // Replace the slot entry with a fresh MD5 checksum followed by the save data
+            const md5Hash = crypto.createHash('md5').update(sourceSaveData).digest();
+            targetSave.gameFile.data = Buffer.concat([md5Hash, sourceSaveData]);
 
-            // Copy save data
-            sourceSaveData.copy(updatedBuffer, Number(targetHeader.dataOffset) + this.CHECKSUM_LENGTH);
+            // Profile section entry data starts with its own checksum
+            const profileFile = this.getGameFile(saveFile, this.SAVE_HEADERS_SECTION_NAME);
+            const profileData = Buffer.from(profileFile.data);
 
             // Copy header data
-            sourceHeaderData.copy(updatedBuffer, this.HEADER_DATA_OFFSET + (targetSlotIndex * this.HEADER_DATA_LENGTH));
+            sourceHeaderData.copy(profileData, this.CHECKSUM_LENGTH + this.HEADER_DATA_OFFSET + (targetSlotIndex * this.HEADER_DATA_LENGTH));
 
             // Set as active
-            updatedBuffer[this.ACTIVE_SAVE_SLOT_OFFSET + targetSlotIndex] = 1;
-
-            // Update MD5 checksum for save data
-            const md5Hash = crypto.createHash('md5').update(sourceSaveData).digest();
-            md5Hash.copy(updatedBuffer, Number(targetHeader.dataOffset));
+            profileData[this.CHECKSUM_LENGTH + this.ACTIVE_SAVE_SLOT_OFFSET + targetSlotIndex] = 1;
 
             // Update save headers section checksum
-            const saveHeaderSectionData = updatedBuffer.slice(
-                this.SAVE_HEADERS_SECTION_OFFSET,
-                this.SAVE_HEADERS_SECTION_OFFSET + this.SAVE_HEADERS_SECTION_LENGTH
-            );
-            const headersMd5 = crypto.createHash('md5').update(saveHeaderSectionData).digest();
-            headersMd5.copy(updatedBuffer, this.SAVE_HEADERS_SECTION_OFFSET - this.CHECKSUM_LENGTH);
+            const headersMd5 = crypto.createHash('md5').update(profileData.slice(this.CHECKSUM_LENGTH)).digest();
+            headersMd5.copy(profileData, 0);
+            profileFile.data = profileData;
 
-            return updatedBuffer;
+            return this.serializeSaveFile(saveFile);
         } catch (error) {
             throw new Error(`Failed to copy save: ${error.message}`);
         }
     }
 
     /**
-     * Extract a save to a compressed .er file
+     * Delete a character the way the game empties a slot
+     * The slot data and its header entry are zeroed and the slot is marked inactive.
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @returns {Buffer} Modified save file buffer
      */
-    async extractSave(save, outputPath) {
+    deleteCharacter(buffer, slotIndex) {
         try {
-            await this.initZstd();
-
-            // Ensure all data is in Buffer format and combine
-            const headerData = Buffer.from(save.headerData);
-            const saveDataChecksum = Buffer.from(save.saveDataChecksum);
-            const saveData = Buffer.from(save.saveData);
+            const layout = this.getSaveLayout(buffer);
+            const slot = this.getSlotLayout(layout, slotIndex);
+            const modifiedBuffer = Buffer.from(buffer);
 
-            const combinedData = Buffer.concat([
-                headerData,
-                saveDataChecksum,
-                saveData
-            ]);
+            // Empty slot data, a zero version marks the slot as unused
+            modifiedBuffer.fill(0, slot.dataOffset, slot.dataOffset + slot.dataLength);
 
-            // Compress with Zstd level 8
-            const compressedData = this.zstd.compress(combinedData, 8);
+            // Clear the active flag and the load screen summary
+            modifiedBuffer[layout.activeSaveSlotOffset + slotIndex] = 0;
+            const headerOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH);
+            modifiedBuffer.fill(0, headerOffset, headerOffset + this.HEADER_DATA_LENGTH);
 
-            // Write to file
-            fs.writeFileSync(outputPath, compressedData);
+            // Recalculate checksums
+            this.recalculateChecksums(modifiedBuffer);
 
-            return {
-                originalSize: combinedData.length,
-                compressedSize: compressedData.length,
-                compressionRatio: (combinedData.length / compressedData.length).toFixed(2)
-            };
+            return modifiedBuffer;
         } catch (error) {
-            throw new Error(`Failed to extract save: ${error.message}`);
+            throw new Error(`Failed to delete character: ${error.message}`);
         }
     }
 
     /**
-     * Load an extracted save file (.er)
+     * Move, swap or duplicate a character between slots of the same file
+     * Slot data, the profile summary entry and the active flag always travel together.
+     * @param {Buffer} buffer - Save file buffer
+     * @param {Object} options - { fromIndex, toIndex, mode } where mode is move, swap or duplicate
+     * @returns {Buffer} Modified save file buffer
      */
-    async loadExtractedSave(filePath) {
+    rearrangeSlots(buffer, { fromIndex, toIndex, mode }) {
         try {
-            await this.initZstd();
+            if (!['move', 'swap', 'duplicate'].includes(mode)) {
+                throw new Error(`Unknown mode: ${mode}`);
+            }
+            if (fromIndex === toIndex) {
+                throw new Error('Source and destination slot are the same');
+            }
 
-            const compressedData = fs.readFileSync(filePath);
-            const decompressedData = this.zstd.decompress(compressedData);
+            const layout = this.getSaveLayout(buffer);
+            const from = this.getSlotLayout(layout, fromIndex);
+            const to = this.getSlotLayout(layout, toIndex);
+            if (from.dataLength !== to.dataLength) {
+                throw new Error(`Slots ${fromIndex} and ${toIndex} differ in size`);
+            }
 
-            const headerData = decompressedData.slice(0, this.HEADER_DATA_LENGTH);
-            const saveDataChecksum = decompressedData.slice(this.HEADER_DATA_LENGTH, this.HEADER_DATA_LENGTH + this.CHECKSUM_LENGTH);
-            const saveData = decompressedData.slice(this.HEADER_DATA_LENGTH + this.CHECKSUM_LENGTH);
+            const isActive = (index) => buffer[layout.activeSaveSlotOffset + index] === 1;
+            if (!isActive(fromIndex)) {
+                throw new Error(`Slot ${fromIndex} is empty`);
+            }
+            if (mode !== 'swap' && isActive(toIndex)) {
+                throw new Error(`Slot ${toIndex} is in use, delete it first or swap the slots`);
+            }
 
-            const saveHeaderInfo = this.extractSaveHeaderInfo(headerData);
+            const headerRange = (index) => {
+                const start = layout.headerDataOffset + (index * this.HEADER_DATA_LENGTH);
+                return [start, start + this.HEADER_DATA_LENGTH];
+            };
+            const snapshot = (slot, index) => ({
+                data: Buffer.from(buffer.slice(slot.dataOffset, slot.dataOffset + slot.dataLength)),
+                header: Buffer.from(buffer.slice(...headerRange(index))),
+                active: buffer[layout.activeSaveSlotOffset + index]
+            });
+            const empty = {
+                data: Buffer.alloc(from.dataLength),
+                header: Buffer.alloc(this.HEADER_DATA_LENGTH),
+                active: 0
+            };
 
-            return {
-                filePath,
-                saveHeaderInfo,
-                headerData,
-                saveDataChecksum,
-                saveData,
-                compressedSize: compressedData.length,
-                decompressedSize: decompressedData.length
+            const source = snapshot(from, fromIndex);
+            const destination = snapshot(to, toIndex);
+            const results = {
+                move: [empty, source],
+                swap: [destination, source],
+                duplicate: [source, source]
             };
+
+            const modifiedBuffer = Buffer.from(buffer);
+            const [newFrom, newTo] = results[mode];
+            for (const [slot, index, contents] of [[from, fromIndex, newFrom], [to, toIndex, newTo]]) {
+                contents.data.copy(modifiedBuffer, slot.dataOffset);
+                contents.header.copy(modifiedBuffer, headerRange(index)[0]);
+                modifiedBuffer[layout.activeSaveSlotOffset + index] = contents.active;
+            }
+
+            // Recalculate checksums
+            this.recalculateChecksums(modifiedBuffer);
+
+            return modifiedBuffer;
         } catch (error) {
-            throw new Error(`Failed to load extracted save: ${error.message}`);
+            throw new Error(`Failed to ${mode || 'rearrange'} slot: ${error.message}`);
         }
     }
 
     /**
-     * Save updated save file to disk
+     * Extract a save to a compressed .er file
+     * @param {Object} save - Save slot from parseSaveFile
+     * @param {string} outputPath - Destination path
+     * @param {Object} [details] - { steamId, appVersion, note } stored in the metadata block
+     * @returns {Object} Sizes, compression ratio and the metadata that was written
      */
-    saveSaveFile(saveFileData, outputPath) {
+    async extractSave(save, outputPath, details = {}) {
         try {
-            fs.writeFileSync(outputPath, saveFileData.buffer);
+            const { data, ...result } = await this.buildExtractedSave(save, details);
+
+            // Write to file
+            this.writeFileAtomic(outputPath, data);
+
+            return result;
         } catch (error) {
-            throw new Error(`Failed to save file: ${error.message}`);
+            throw new Error(`Failed to extract save: ${error.message}`);
         }
     }
 
     /**
-     * Utility function to reverse bytes
+     * Build the contents of a version 2 .er file for a save slot
+     * @param {Object} save - Save slot from parseSaveFile
+     * @param {Object} details - { steamId, appVersion, note } stored in the metadata block
+     * @returns {Object} File contents plus sizes, compression ratio and metadata
      */
-    reverseBytes(byte) {
-        let result = 0;
-        for (let i = 0; i < 8; i++) {
-            result = (result << 1) | (byte & 1);
-            byte >>= 1;
+    async buildExtractedSave(save, details) {
+        await this.initZstd();
+
+        // Ensure all data is in Buffer format and combine
+        const headerData = Buffer.from(save.headerData);
+        const saveDataChecksum = Buffer.from(save.saveDataChecksum);
+        const saveData = Buffer.from(save.saveData);
+
+        const combinedData = Buffer.concat([
+            headerData,
+            saveDataChecksum,
+            saveData
+        ]);
+
+        // Compress with Zstd level 8
+        const compressedData = Buffer.from(this.zstd.compress(combinedData, 8));
+
+        const headerInfo = this.extractSaveHeaderInfo(headerData);
+        const metadata = {
+            characterName: headerInfo.characterName,
+            level: headerInfo.characterLevel,
+            secondsPlayed: headerInfo.secondsPlayed,
+            steamId: details.steamId || null,
+            extractedAt: new Date().toISOString(),
+            appVersion: details.appVersion || null,
+            note: details.note || ''
+        };
+        const metadataBytes = Buffer.from(JSON.stringify(metadata), 'utf8');
+
+        const writer = new BufferWriter(Buffer.alloc(12));
+        writer.writeBytes(EXTRACTED_SAVE_MAGIC);
+        writer.writeUInt32LE(EXTRACTED_SAVE_VERSION);
+        writer.writeUInt32LE(metadataBytes.length);
+
+        return {
+            data: Buffer.concat([
+                writer.buffer,
+                metadataBytes,
+                crypto.createHash('sha256').update(combinedData).digest(),
+                compressedData
+            ]),
+            originalSize: combinedData.length,
+            compressedSize: compressedData.length,
+            compressionRatio: (combinedData.length / compressedData.length).toFixed(2),
+            metadata
+        };
+    }
+
+    /**
+     * Load an extracted save file (.er), either a version 2 container or a legacy bare zstd stream
+     * @param {string} filePath - Path to the .er file
+     * @returns {Object} Header info, slot data, format version and metadata (null for version 1 files)
+     */
+    async loadExtractedSave(filePath) {
+        try {
+            return await this.parseExtractedSave(fs.readFileSync(filePath), filePath);
+        } catch (error) {
+            throw new Error(`Failed to load extracted save: ${error.message}`);
         }
-        return result;
     }
 
     /**
-     * Format play time from seconds to human readable format
+     * Parse and validate the contents of an .er file
+     * @param {Buffer} fileData - Contents of a version 1 or version 2 .er file
+     * @param {string} filePath - Path reported back with the result
+     * @returns {Object} Same shape as loadExtractedSave
      */
-    formatPlayTime(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
+    async parseExtractedSave(fileData, filePath) {
+        await this.initZstd();
+
+        let formatVersion;
+        let metadata = null;
+        let payloadHash = null;
+        let compressedData;
+
+        if (fileData.slice(0, EXTRACTED_SAVE_MAGIC.length).equals(EXTRACTED_SAVE_MAGIC)) {
+            const reader = new BufferReader(fileData);
+            reader.skip(EXTRACTED_SAVE_MAGIC.length);
+            formatVersion = reader.readUInt32LE();
+            // Version 1 files have no header, so only versions 2 and up can follow the magic
+            if (formatVersion < 2 || formatVersion > EXTRACTED_SAVE_VERSION) {
+                throw new Error(`File uses .er format version ${formatVersion}, this version of the app reads versions 2 to ${EXTRACTED_SAVE_VERSION} with a header`);
+            }
 
-        if (hours > 0) {
-            return `${hours}h ${minutes}m ${secs}s`;
+            const metadataLength = reader.readUInt32LE();
+            if (reader.offset + metadataLength + SHA256_LENGTH > fileData.length) {
+                throw new Error('File is truncated');
+            }
+            metadata = JSON.parse(reader.readBytes(metadataLength).toString('utf8'));
+            payloadHash = reader.readBytes(SHA256_LENGTH);
+            compressedData = fileData.slice(reader.offset);
+        } else if (fileData.slice(0, ZSTD_FRAME_MAGIC.length).equals(ZSTD_FRAME_MAGIC)) {
+            formatVersion = 1;
+            compressedData = fileData;
+        } else {
+            throw new Error('Not an extracted save file');
+        }
+
+        // The codec aborts with a non-Error value on malformed input
+        let decompressed = null;
+        try {
+            decompressed = this.zstd.decompress(compressedData);
+        } catch (error) {
+            decompressed = null;
+        }
+        if (!decompressed) {
+            throw new Error('Compressed data is damaged');
+        }
+        const decompressedData = Buffer.from(decompressed);
+
+        if (payloadHash && !crypto.createHash('sha256').update(decompressedData).digest().equals(payloadHash)) {
+            throw new Error('SHA-256 of the save data does not match, the file is damaged');
+        }
+        if (decompressedData.length <= this.HEADER_DATA_LENGTH + this.CHECKSUM_LENGTH) {
+            throw new Error('File is too small to hold a save');
+        }
+
+        const headerData = decompressedData.slice(0, this.HEADER_DATA_LENGTH);
+        const saveDataChecksum = decompressedData.slice(this.HEADER_DATA_LENGTH, this.HEADER_DATA_LENGTH + this.CHECKSUM_LENGTH);
+        const saveData = decompressedData.slice(this.HEADER_DATA_LENGTH + this.CHECKSUM_LENGTH);
+
+        // Reject damaged files before they can be written into a save
+        const actualChecksum = crypto.createHash('md5').update(saveData).digest();
+        if (!actualChecksum.equals(Buffer.from(saveDataChecksum))) {
+            throw new Error('Save data checksum does not match, the file is damaged');
+        }
+        this.parseSlotData(saveData, 0, saveData.length);
+
+        const saveHeaderInfo = this.extractSaveHeaderInfo(headerData);
+
+        return {
+            filePath,
+            formatVersion,
+            metadata,
+            saveHeaderInfo,
+            headerData,
+            saveDataChecksum,
+            saveData,
+            compressedSize: compressedData.length,
+            decompressedSize: decompressedData.length
+        };
+    }
+
+    /**
+     * Extract every active slot of a save file into one bundle
+     * Each entry is a complete version 2 .er file, listed in a JSON manifest at the start of the bundle.
+     * @param {Object} saveFile - Parsed save file
+     * @param {string} outputPath - Destination path
+     * @param {Object} [details] - { appVersion, note } stored in the manifest and every entry
+     * @returns {Object} Manifest and total size of the bundle
+     */
+    async extractAllSaves(saveFile, outputPath, details = {}) {
+        try {
+            const activeSaves = saveFile.saves.filter(save => save.active);
+            if (activeSaves.length === 0) {
+                throw new Error('The file has no characters to extract');
+            }
+
+            const steamId = saveFile.steamIds ? saveFile.steamIds.steamId : null;
+            const entries = [];
+            const entryData = [];
+            let offset = 0;
+            for (const save of activeSaves) {
+                const { data, metadata } = await this.buildExtractedSave(save, { ...details, steamId });
+                entries.push({
+                    slotIndex: save.index,
+                    characterName: metadata.characterName,
+                    level: metadata.level,
+                    secondsPlayed: metadata.secondsPlayed,
+                    offset,
+                    length: data.length,
+                    sha256: crypto.createHash('sha256').update(data).digest('hex')
+                });
+                entryData.push(data);
+                offset += data.length;
+            }
+
+            const manifest = {
+                sourceFile: path.basename(saveFile.filePath),
+                steamId,
+                createdAt: new Date().toISOString(),
+                appVersion: details.appVersion || null,
+                note: details.note || '',
+                entries
+            };
+            const manifestBytes = Buffer.from(JSON.stringify(manifest), 'utf8');
+
+            const writer = new BufferWriter(Buffer.alloc(12));
+            writer.writeBytes(SAVE_BUNDLE_MAGIC);
+            writer.writeUInt32LE(SAVE_BUNDLE_VERSION);
+            writer.writeUInt32LE(manifestBytes.length);
+
+            const bundle = Buffer.concat([writer.buffer, manifestBytes, ...entryData]);
+            this.writeFileAtomic(outputPath, bundle);
+
+            return { manifest, size: bundle.length };
+        } catch (error) {
+            throw new Error(`Failed to extract all saves: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a bundle written by extractAllSaves and validate every entry
+     * @param {string} filePath - Path to the bundle
+     * @returns {Object} Manifest and the loaded entries in manifest order
+     */
+    async loadSaveBundle(filePath) {
+        try {
+            const fileData = fs.readFileSync(filePath);
+            if (!fileData.slice(0, SAVE_BUNDLE_MAGIC.length).equals(SAVE_BUNDLE_MAGIC)) {
+                throw new Error('Not a save bundle');
+            }
+
+            const reader = new BufferReader(fileData);
+            reader.skip(SAVE_BUNDLE_MAGIC.length);
+            const version = reader.readUInt32LE();
+            if (version > SAVE_BUNDLE_VERSION) {
+                throw new Error(`Bundle format version ${version} is newer than this version of the app`);
+            }
+
+            const manifestLength = reader.readUInt32LE();
+            const manifest = JSON.parse(reader.readBytes(manifestLength).toString('utf8'));
+            const dataStart = reader.offset;
+
+            const entries = [];
+            for (const entry of manifest.entries) {
+                const start = dataStart + entry.offset;
+                const data = fileData.slice(start, start + entry.length);
+                if (data.length !== entry.length || crypto.createHash('sha256').update(data).digest('hex') !== entry.sha256) {
+                    throw new Error(`Entry for slot ${entry.slotIndex} (${entry.characterName}) is damaged`);
+                }
+                entries.push(await this.parseExtractedSave(data, filePath));
+            }
+
+            return { filePath, manifest, entries };
+        } catch (error) {
+            throw new Error(`Failed to load save bundle: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write bundle entries into slots of a save file through copySave
+     * @param {Object} bundle - Result of loadSaveBundle
+     * @param {Object} targetSaveFile - Parsed save file to write into
+     * @param {Array<{entryIndex: number, targetSlotIndex: number}>} mapping - Which entry goes into which slot
+     * @returns {Buffer} Updated save file buffer
+     */
+    importSaveBundle(bundle, targetSaveFile, mapping) {
+        try {
+            if (mapping.length === 0) {
+                throw new Error('No bundle entries selected');
+            }
+
+            const targetSlots = mapping.map(({ targetSlotIndex }) => targetSlotIndex);
+            const duplicate = targetSlots.find((slotIndex, i) => targetSlots.indexOf(slotIndex) !== i);
+            if (duplicate !== undefined) {
+                throw new Error(`Slot ${duplicate} is chosen for more than one character`);
+            }
+
+            let buffer = Buffer.from(targetSaveFile.buffer);
+            for (const { entryIndex, targetSlotIndex } of mapping) {
+                const entry = bundle.entries[entryIndex];
+                if (!entry) {
+                    throw new Error(`Bundle has no entry ${entryIndex}`);
+                }
+                buffer = this.copySave(entry, { ...targetSaveFile, buffer }, targetSlotIndex);
+            }
+
+            return buffer;
+        } catch (error) {
+            throw new Error(`Failed to import save bundle: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save updated save file to disk
+     */
+    saveSaveFile(saveFileData, outputPath) {
+        try {
+            this.writeSaveFileAtomic(outputPath, this.serializeSaveFile(saveFileData));
+        } catch (error) {
+            throw new Error(`Failed to save file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a file without ever leaving it half written
+     * The data goes to a temp file in the same directory, is flushed to disk and checked, and only then
+     * renamed over the original. If any step fails the temp file is removed and the original is untouched.
+     * @param {string} filePath - Destination path
+     * @param {Buffer|string} data - File contents
+     * @param {Function} [validate] - Called with the contents read back from the temp file, throws to abort
+     */
+    writeFileAtomic(filePath, data, validate = null) {
+        const directory = path.dirname(filePath);
+        const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+        let fd = null;
+        try {
+            fd = fs.openSync(tempPath, 'wx');
+            fs.writeFileSync(fd, data);
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+            fd = null;
+
+            if (validate) {
+                validate(fs.readFileSync(tempPath));
+            }
+
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            if (fd !== null) {
+                fs.closeSync(fd);
+            }
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+
+        // Flush the rename itself; directories cannot be opened for syncing on Windows
+        try {
+            const directoryFd = fs.openSync(directory, 'r');
+            fs.fsyncSync(directoryFd);
+            fs.closeSync(directoryFd);
+        } catch (error) {
+            // The file is already in place, only the durability of the rename is not guaranteed
+        }
+    }
+
+    /**
+     * Atomically write a save file that parses and passes the checksum verification
+     * @param {string} filePath - Destination path
+     * @param {Buffer} buffer - Save file buffer
+     */
+    writeSaveFileAtomic(filePath, buffer) {
+        this.writeFileAtomic(filePath, buffer, (writtenData) => {
+            try {
+                this.parseSaveFile(writtenData, filePath);
+            } catch (error) {
+                throw new Error(`Written file could not be parsed (${error.message}), the original was not changed`);
+            }
+
+            const report = this.verifySaveFile(writtenData);
+            if (!report.valid) {
+                const problems = [
+                    ...report.header.filter(entry => !entry.ok).map(entry => `${entry.check}: ${entry.message}`),
+                    ...report.slots.filter(slot => slot.status === 'mismatch').map(slot => `slot ${slot.index} checksum mismatch`),
+                    ...(report.profile && report.profile.status === 'mismatch' ? ['profile checksum mismatch'] : [])
+                ];
+                throw new Error(`Written file failed verification (${problems.join(', ')}), the original was not changed`);
+            }
+        });
+    }
+
+    /**
+     * Utility function to reverse bytes
+     */
+    reverseBytes(byte) {
+        let result = 0;
+        for (let i = 0; i < 8; i++) {
+            result = (result << 1) | (byte & 1);
+            byte >>= 1;
+        }
+        return result;
+    }
+
+    /**
+     * Format play time from seconds to human readable format
+     */
+    formatPlayTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${minutes}m ${secs}s`;
         } else if (minutes > 0) {
             return `${minutes}m ${secs}s`;
         } else {
@@ -439,130 +1530,983 @@ class EldenRingSaveManager {
     }
 
     /**
-     * Get character stats from a save slot
+     * @typedef {Object} GaItem
+     * @property {number} offset - Absolute offset of the entry in the save file
+     * @property {number} size - Entry size in bytes (8, 16 or 21 depending on type)
+     * @property {number} handle - Gaitem handle referenced by inventory and equipment
+     * @property {number} itemId - Item ID including upgrade level and affinity
+     * @property {string|null} type - weapon, armor, talisman, item or ashOfWar; null for unused entries
+     * @property {number} [aowHandle] - Handle of the attached Ash of War (weapons only)
+     */
+
+    /**
+     * Parse the structure of a character slot
      * @param {Buffer} buffer - Save file buffer
      * @param {number} slotIndex - Character slot index (0-9)
-     * @returns {Object|null} Character stats or null if not found
+     * @param {Object} [layout] - Save layout, derived from the buffer when omitted
+     * @returns {Object} Slot version, gaitem map, PlayerGameData and the absolute offset of every later section
      */
-    getCharacterStats(buffer, slotIndex) {
+    parseCharacterSlot(buffer, slotIndex, layout = this.getSaveLayout(buffer)) {
+        const slot = this.getSlotLayout(layout, slotIndex);
+        return this.parseSlotData(buffer, slot.dataOffset, slot.dataLength, slotIndex);
+    }
+
+    /**
+     * Parse character slot data at a given position, such as the save data of an extracted .er file
+     * @param {Buffer} buffer - Buffer holding the slot data
+     * @param {number} dataOffset - Offset of the slot data, after its checksum
+     * @param {number} dataLength - Length of the slot data
+     * @param {number|null} slotIndex - Character slot index, null when the data does not come from a save file
+     * @returns {Object} Same shape as parseCharacterSlot
+     */
+    parseSlotData(buffer, dataOffset, dataLength, slotIndex = null) {
+        const label = slotIndex === null ? 'Extracted slot' : `Slot ${slotIndex}`;
+        const slotEnd = dataOffset + dataLength;
+        const reader = new BufferReader(buffer);
+        reader.seek(dataOffset);
+
+        // Slot version header
+        const version = reader.readUInt32LE();
+        if (version === 0) {
+            throw new Error(`${label} is empty`);
+        }
+        const mapId = this.formatMapId(reader.readBytes(4));
+        reader.skip(0x18);
+
+        // Gaitem handle map, older saves have two fewer entries
+        const gaItemsOffset = reader.offset;
+        const gaItemCount = version <= 81 ? 0x13FE : 0x1400;
+        const gaItems = [];
+        for (let i = 0; i < gaItemCount; i++) {
+            gaItems.push(this.readGaItem(reader));
+        }
+
+        const playerGameData = this.readPlayerGameData(reader);
+        if (!playerGameData.valid) {
+            throw new Error(`${label} PlayerGameData is not readable`);
+        }
+
+        const sections = {};
+        for (const section of SLOT_SECTIONS) {
+            const offset = reader.offset;
+            let length = section.length;
+
+            if (section.entrySize) {
+                const count = buffer.readUInt32LE(offset);
+                if (count > section.maxCount) {
+                    throw new Error(`${label} has ${count} ${section.name} entries, expected at most ${section.maxCount}`);
+                }
+                length = 4 + (count * section.entrySize);
+            }
+
+            if (offset + length > slotEnd) {
+                throw new Error(`${label} ${section.name} runs past the end of the slot`);
+            }
+
+            sections[section.name] = { offset, length };
+            reader.skip(length);
+        }
+
+        return {
+            slotIndex,
+            dataOffset,
+            dataLength,
+            version,
+            mapId,
+            gaItemsOffset,
+            gaItemsEnd: playerGameData.offset,
+            gaItems,
+            playerGameData,
+            sections
+        };
+    }
+
+    /**
+     * Read one entry of the gaitem handle map
+     * @returns {GaItem} Parsed entry
+     */
+    readGaItem(reader) {
+        const offset = reader.offset;
+        const handle = reader.readUInt32LE();
+        const itemId = reader.readUInt32LE();
+        const handleType = (handle & 0xF0000000) >>> 0;
+
+        const gaItem = { offset, handle, itemId, type: null };
+
+        if (handle !== 0) {
+            gaItem.type = GAITEM_TYPES[handleType];
+            if (!gaItem.type) {
+                throw new Error(`Unknown gaitem handle 0x${handle.toString(16)} at offset ${offset}`);
+            }
+        }
+
+        if (handleType === 0x80000000) {
+            // Weapons carry two unknown values, the Ash of War handle and a flag byte
+            reader.skip(8);
+            gaItem.aowHandle = reader.readUInt32LE();
+            reader.skip(1);
+        } else if (handleType === 0x90000000) {
+            // Armor carries two unknown values
+            reader.skip(8);
+        }
+
+        gaItem.size = reader.offset - offset;
+        return gaItem;
+    }
+
+    /**
+     * Read the PlayerGameData block (attributes, HP/FP/stamina, runes, name, class)
+     */
+    readPlayerGameData(reader) {
+        const offset = reader.offset;
+        const buffer = reader.buffer;
+        const readTriple = (start) => [0, 4, 8].map(delta => buffer.readUInt32LE(offset + start + delta));
+
+        const stats = {};
+        STAT_NAMES.forEach((statName, index) => {
+            stats[statName] = buffer.readUInt32LE(offset + PLAYER_GAME_DATA.stats + (index * 4));
+        });
+
+        const level = buffer.readUInt32LE(offset + PLAYER_GAME_DATA.level);
+        const nameOffset = offset + PLAYER_GAME_DATA.characterName;
+        const characterName = buffer.toString('utf16le', nameOffset, nameOffset + 32).replace(/\0.*$/, '');
+
+        // Attributes range from 1 to 99 and the level is always derived from them
+        const statValues = Object.values(stats);
+        const valid = statValues.every(value => value >= 1 && value <= 99) &&
+            statValues.reduce((sum, value) => sum + value, 0) - 79 === level;
+
+        reader.skip(PLAYER_GAME_DATA.length);
+
+        return {
+            offset,
+            valid,
+            health: readTriple(PLAYER_GAME_DATA.health),
+            fp: readTriple(PLAYER_GAME_DATA.fp),
+            stamina: readTriple(PLAYER_GAME_DATA.stamina),
+            stats,
+            level,
+            runes: buffer.readUInt32LE(offset + PLAYER_GAME_DATA.runes),
+            runesMemory: buffer.readUInt32LE(offset + PLAYER_GAME_DATA.runesMemory),
+            characterName,
+            bodyType: buffer[offset + PLAYER_GAME_DATA.bodyType],
+            archetype: buffer[offset + PLAYER_GAME_DATA.archetype],
+            startingGift: buffer[offset + PLAYER_GAME_DATA.startingGift]
+        };
+    }
+
+    /**
+     * Read the held inventory and storage box of a character slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @returns {Object} { slotIndex, held, storage } lists of inventory entries
+     */
+    getInventory(buffer, slotIndex) {
         try {
-            // Get character level using Python's method
-            const baseLevelOffset = 26221872; // 0x1901D0E + 34 in decimal
-            const levelOffset = baseLevelOffset + (slotIndex * 588);
+            const slot = this.parseCharacterSlot(buffer, slotIndex);
+            return { slotIndex, ...this.readSlotInventory(buffer, slot) };
+        } catch (error) {
+            throw new Error(`Failed to read inventory: ${error.message}`);
+        }
+    }
 
-            // Verify offset is within buffer bounds
-            if (levelOffset + 2 > buffer.length) {
-                console.log(`Level offset ${levelOffset} is out of buffer bounds (${buffer.length})`);
-                return null;
+    /**
+     * Read both inventory locations of an already parsed slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {Object} slot - Result of parseCharacterSlot
+     * @returns {Object} { held, storage } lists of inventory entries
+     */
+    readSlotInventory(buffer, slot) {
+        const gaItemIds = new Map(slot.gaItems
+            .filter(gaItem => gaItem.handle !== 0)
+            .map(gaItem => [gaItem.handle, gaItem.itemId]));
+
+        const inventory = {};
+        for (const [location, sectionName] of Object.entries(INVENTORY_LOCATIONS)) {
+            inventory[location] = this.readInventory(buffer, slot.sections[sectionName], INVENTORY_LAYOUTS[sectionName], gaItemIds, location);
+        }
+        return inventory;
+    }
+
+    /**
+     * Read the common and key item lists of one inventory section
+     * @param {Buffer} buffer - Save file buffer
+     * @param {Object} section - Absolute offset and length of the section
+     * @param {Object} capacities - Entry capacities from INVENTORY_LAYOUTS
+     * @param {Map<number, number>} gaItemIds - Item ID for every gaitem handle of the slot
+     * @param {string} location - held or storage, selects the stack limit
+     * @returns {Object[]} Occupied entries
+     */
+    readInventory(buffer, section, capacities, gaItemIds, location) {
+        const entries = [];
+        const lists = ['common', 'key'].map(list => ({
+            list,
+            offset: this.getInventoryListOffset(section, capacities, list),
+            capacity: list === 'key' ? capacities.keyCapacity : capacities.commonCapacity
+        }));
+
+        for (const { list, offset, capacity } of lists) {
+            for (let i = 0; i < capacity; i++) {
+                const entryOffset = offset + 4 + (i * INVENTORY_ENTRY_SIZE);
+                const handle = buffer.readUInt32LE(entryOffset);
+
+                // Free entries hold either 0 or 0xFFFFFFFF
+                if (handle === 0 || handle === 0xFFFFFFFF) {
+                    continue;
+                }
+
+                const quantity = buffer.readUInt32LE(entryOffset + 4);
+                const description = this.describeInventoryItem(handle, gaItemIds);
+                const item = description.itemId !== null ? itemDatabase.findItem(description.category, description.itemId) : null;
+
+                entries.push({
+                    location,
+                    list,
+                    listIndex: i,
+                    offset: entryOffset,
+                    handle,
+                    quantity,
+                    acquisitionIndex: buffer.readUInt32LE(entryOffset + 8),
+                    // Items missing from the database can only be reduced or removed
+                    maxQuantity: item ? this.getMaxQuantity(item, location) : quantity,
+                    ...description
+                });
             }
+        }
 
-            const level = buffer.readUInt16LE(levelOffset);
+        return entries;
+    }
 
-            // Get slot data using Python's slot boundaries
-            const slotOffsets = [
-                0x00000310, 0x00280320, 0x00500330, 0x00780340, 0x00A00350,
-                0x00C80360, 0x00F00370, 0x01180380, 0x01400390, 0x016803A0
-            ];
-            const slotLengths = [
-                0x0028030F - 0x00000310 + 1, 0x0050031F - 0x00280320 + 1, 0x0078032F - 0x00500330 + 1,
-                0x00A0033F - 0x00780340 + 1, 0x00C8034F - 0x00A00350 + 1, 0x00F0035F - 0x00C80360 + 1,
-                0x0118036F - 0x00F00370 + 1, 0x0140037F - 0x01180380 + 1, 0x0168038F - 0x01400390 + 1,
-                0x0190039F - 0x016803A0 + 1
-            ];
+    /**
+     * Absolute offset of the count field that starts the common or key list of an inventory section
+     */
+    getInventoryListOffset(section, capacities, list) {
+        return list === 'key'
+            ? section.offset + 4 + (capacities.commonCapacity * INVENTORY_ENTRY_SIZE)
+            : section.offset;
+    }
+
+    /**
+     * Stack limit of an item database entry in the held inventory or the storage box
+     */
+    getMaxQuantity(item, location) {
+        return location === 'storage' ? item.maxStorage : item.maxHeld;
+    }
 
-            const slotOffset = slotOffsets[slotIndex];
-            const slotLength = slotLengths[slotIndex];
-            const slotData = buffer.slice(slotOffset, slotOffset + slotLength);
+    /**
+     * Resolve an inventory handle to its item.
+     * Weapons, armor and Ashes of War go through the gaitem map, talismans and goods encode the ID in the handle.
+     * @param {number} handle - Inventory handle
+     * @param {Map<number, number>} gaItemIds - Item ID for every gaitem handle of the slot
+     * @returns {Object} Category, item ID, name and (for weapons) affinity and upgrade level
+     */
+    describeInventoryItem(handle, gaItemIds) {
+        const category = GAITEM_TYPES[(handle & 0xF0000000) >>> 0] || null;
+        let fullItemId;
+        if (GAITEM_CATEGORIES.includes(category)) {
+            fullItemId = gaItemIds.get(handle);
+        } else if (category) {
+            fullItemId = (itemDatabase.ITEM_CATEGORIES[category].idPrefix | (handle & 0x0FFFFFFF)) >>> 0;
+        }
 
-            // Find stats location by searching for pattern (matching Python algorithm)
-            let statsFound = false;
-            let statsOffset = 0;
-            let stats = [];
+        if (fullItemId === undefined) {
+            return { category, itemId: null, name: `Unknown item (0x${handle.toString(16).toUpperCase()})`, group: 'Unknown' };
+        }
 
-            for (let i = 0; i < Math.min(120000, slotData.length - 50); i++) {
-                try {
-                    // Extract potential stats (each stat is 1 byte with 3 padding bytes)
-                    const potentialStats = [
-                        slotData.readUInt8(i),      // Vigor
-                        slotData.readUInt8(i + 4),  // Mind
-                        slotData.readUInt8(i + 8),  // Endurance
-                        slotData.readUInt8(i + 12), // Strength
-                        slotData.readUInt8(i + 16), // Dexterity
-                        slotData.readUInt8(i + 20), // Intelligence
-                        slotData.readUInt8(i + 24), // Faith
-                        slotData.readUInt8(i + 28)  // Arcane
-                    ];
-
-                    // Check if sum matches level + 79 and level at offset matches
-                    const statsSum = potentialStats.reduce((sum, stat) => sum + stat, 0);
-                    const levelAtOffset = slotData.readUInt16LE(i + 44);
-
-                    if (statsSum === level + 79 && levelAtOffset === level) {
-                        stats = potentialStats;
-                        statsOffset = i;
-                        statsFound = true;
-                        break;
+        return this.describeItemId(fullItemId);
+    }
+
+    /**
+     * Add an item from the item database to the held inventory or the storage box.
+     * Goods already in that location are stacked; weapons, armor and Ashes of War get a new gaitem handle.
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} options - { location: 'held'|'storage', category, itemId, quantity }
+     * @returns {Buffer} Modified buffer
+     */
+    addInventoryItem(buffer, slotIndex, { location, category, itemId, quantity = 1 }) {
+        try {
+            const sectionName = this.getInventorySectionName(location);
+            const item = itemDatabase.findItem(category, itemId);
+            if (!item) {
+                throw new Error(`Unknown ${category} ID ${itemId}`);
+            }
+
+            const modifiedBuffer = Buffer.from(buffer);
+            let slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            const entries = this.readSlotInventory(modifiedBuffer, slot)[location];
+            const maxQuantity = this.getMaxQuantity(item, location);
+
+            // Goods stack onto an existing entry, a talisman can only be owned once
+            const existing = entries.find(entry => entry.category === category && entry.itemId === itemId);
+            if (existing && category === 'item') {
+                this.validateQuantity(existing.quantity + quantity, maxQuantity, item.name);
+                modifiedBuffer.writeUInt32LE(existing.quantity + quantity, existing.offset + 4);
+                this.recalculateChecksums(modifiedBuffer);
+                return modifiedBuffer;
+            }
+            if (existing && category === 'talisman') {
+                throw new Error(`${item.name} is already in this inventory`);
+            }
+
+            this.validateQuantity(quantity, maxQuantity, item.name);
+
+            let handle;
+            if (GAITEM_CATEGORIES.includes(category)) {
+                const fullItemId = (itemDatabase.ITEM_CATEGORIES[category].idPrefix | itemId) >>> 0;
+                handle = this.allocateGaItem(modifiedBuffer, slot, category, fullItemId);
+                // Everything after the gaitem map may have moved
+                slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            } else {
+                handle = (itemDatabase.ITEM_CATEGORIES[category].handlePrefix | itemId) >>> 0;
+            }
+
+            const list = item.group === 'Key Items' ? 'key' : 'common';
+            this.writeInventoryEntry(modifiedBuffer, slot.sections[sectionName], INVENTORY_LAYOUTS[sectionName], list, handle, quantity);
+
+            this.recalculateChecksums(modifiedBuffer);
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to add item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change the quantity of an inventory entry, a quantity of 0 removes it
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} options - { location, list, listIndex, quantity } identifying the entry
+     * @returns {Buffer} Modified buffer
+     */
+    setInventoryQuantity(buffer, slotIndex, { location, list, listIndex, quantity }) {
+        if (quantity === 0) {
+            return this.removeInventoryItem(buffer, slotIndex, { location, list, listIndex });
+        }
+
+        try {
+            const modifiedBuffer = Buffer.from(buffer);
+            const slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            const entry = this.findInventoryEntry(modifiedBuffer, slot, location, list, listIndex);
+
+            this.validateQuantity(quantity, entry.maxQuantity, entry.name);
+            modifiedBuffer.writeUInt32LE(quantity, entry.offset + 4);
+
+            this.recalculateChecksums(modifiedBuffer);
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to set item quantity: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an inventory entry and free its gaitem handle once nothing else refers to it
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} options - { location, list, listIndex } identifying the entry
+     * @returns {Buffer} Modified buffer
+     */
+    removeInventoryItem(buffer, slotIndex, { location, list, listIndex }) {
+        try {
+            const sectionName = this.getInventorySectionName(location);
+            const modifiedBuffer = Buffer.from(buffer);
+            let slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            const entry = this.findInventoryEntry(modifiedBuffer, slot, location, list, listIndex);
+
+            if (this.getEquippedHandles(modifiedBuffer, slot).includes(entry.handle)) {
+                throw new Error(`${entry.name} is equipped, unequip it in game first`);
+            }
+
+            // Clear the entry and update the list counter
+            modifiedBuffer.fill(0, entry.offset, entry.offset + INVENTORY_ENTRY_SIZE);
+            const countOffset = this.getInventoryListOffset(slot.sections[sectionName], INVENTORY_LAYOUTS[sectionName], list);
+            const count = modifiedBuffer.readUInt32LE(countOffset);
+            modifiedBuffer.writeUInt32LE(Math.max(0, count - 1), countOffset);
+
+            if (GAITEM_CATEGORIES.includes(entry.category)) {
+                // A weapon also releases its Ash of War when nothing else uses it
+                const gaItem = slot.gaItems.find(candidate => candidate.handle === entry.handle);
+                const handles = [entry.handle];
+                if (gaItem && gaItem.aowHandle !== undefined && slot.gaItems.some(candidate => candidate.handle === gaItem.aowHandle)) {
+                    handles.push(gaItem.aowHandle);
+                }
+
+                for (const handle of handles) {
+                    slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+                    if (!this.isGaItemReferenced(modifiedBuffer, slot, handle)) {
+                        this.freeGaItem(modifiedBuffer, slot, handle);
                     }
-                } catch (e) {
-                    continue;
                 }
             }
 
-            if (!statsFound) {
-                return null;
+            this.recalculateChecksums(modifiedBuffer);
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to remove item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Slot section name for an inventory location
+     */
+    getInventorySectionName(location) {
+        const sectionName = INVENTORY_LOCATIONS[location];
+        if (!sectionName) {
+            throw new Error(`Unknown inventory location: ${location}`);
+        }
+        return sectionName;
+    }
+
+    /**
+     * Find an occupied inventory entry by its list position
+     */
+    findInventoryEntry(buffer, slot, location, list, listIndex) {
+        this.getInventorySectionName(location);
+        const entry = this.readSlotInventory(buffer, slot)[location]
+            .find(candidate => candidate.list === list && candidate.listIndex === listIndex);
+        if (!entry) {
+            throw new Error(`No item at ${location} ${list} entry ${listIndex}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Check a quantity against an item's stack limit
+     */
+    validateQuantity(quantity, maxQuantity, itemName) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Quantity for ${itemName} must be a whole number of at least 1`);
+        }
+        if (maxQuantity === 0) {
+            throw new Error(`${itemName} cannot be kept in this location`);
+        }
+        if (quantity > maxQuantity) {
+            throw new Error(`${itemName} stacks up to ${maxQuantity} here, got ${quantity}`);
+        }
+    }
+
+    /**
+     * Handles of the currently equipped weapons, armor, talismans, quick items and pouch items
+     */
+    getEquippedHandles(buffer, slot) {
+        const { offset, length } = slot.sections.equippedItemsGaitemHandle;
+        const handles = [];
+        for (let position = offset; position < offset + length; position += 4) {
+            handles.push(buffer.readUInt32LE(position));
+        }
+
+        for (const { offset: listOffset, count } of [EQUIPPED_ITEMS.quickItems, EQUIPPED_ITEMS.pouch]) {
+            for (let i = 0; i < count; i++) {
+                handles.push(buffer.readUInt32LE(slot.sections.equippedItems.offset + listOffset + (i * 8)));
+            }
+        }
+        return handles;
+    }
+
+    /**
+     * Whether an inventory entry or a weapon's Ash of War still refers to a gaitem handle
+     */
+    isGaItemReferenced(buffer, slot, handle) {
+        const inventory = this.readSlotInventory(buffer, slot);
+        return [...inventory.held, ...inventory.storage].some(entry => entry.handle === handle) ||
+            slot.gaItems.some(gaItem => gaItem.aowHandle === handle);
+    }
+
+    /**
+     * Store a new item in the first free entry of the gaitem map
+     * @returns {number} Newly assigned gaitem handle
+     */
+    allocateGaItem(buffer, slot, category, fullItemId) {
+        const freeEntry = slot.gaItems.find(gaItem => gaItem.handle === 0);
+        if (!freeEntry) {
+            throw new Error('The gaitem map is full');
+        }
+
+        // Handles count up per type below the type nibble, starting at 0x00800000
+        const prefix = itemDatabase.ITEM_CATEGORIES[category].handlePrefix;
+        const usedIndexes = slot.gaItems
+            .filter(gaItem => gaItem.handle !== 0 && ((gaItem.handle & 0xF0000000) >>> 0) === prefix)
+            .map(gaItem => gaItem.handle & 0x0FFFFFFF);
+        const nextIndex = usedIndexes.length > 0 ? Math.max(...usedIndexes) + 1 : 0x00800000;
+        const handle = (prefix | nextIndex) >>> 0;
+
+        // Weapons and armor carry two unknown values (-1 for new items), weapons also an Ash of War handle and a flag
+        const record = Buffer.alloc(category === 'weapon' ? 21 : category === 'armor' ? 16 : 8);
+        const writer = new BufferWriter(record);
+        writer.writeUInt32LE(handle);
+        writer.writeUInt32LE(fullItemId);
+        if (category === 'weapon' || category === 'armor') {
+            writer.writeInt32LE(-1);
+            writer.writeInt32LE(-1);
+        }
+        if (category === 'weapon') {
+            writer.writeUInt32LE(DEFAULT_ASH_OF_WAR);
+        }
+
+        this.resizeSlotRegion(buffer, slot, freeEntry.offset, freeEntry.size, record);
+        return handle;
+    }
+
+    /**
+     * Turn a gaitem map entry back into an empty 8 byte entry
+     */
+    freeGaItem(buffer, slot, handle) {
+        const gaItem = slot.gaItems.find(candidate => candidate.handle === handle);
+        if (!gaItem) {
+            return;
+        }
+        this.resizeSlotRegion(buffer, slot, gaItem.offset, gaItem.size, Buffer.alloc(8));
+    }
+
+    /**
+     * Replace a region of a character slot with bytes of a different length.
+     * Later slot data shifts accordingly; the slot keeps its size by using or restoring zero padding at its end.
+     */
+    resizeSlotRegion(buffer, slot, offset, oldLength, bytes) {
+        const slotEnd = slot.dataOffset + slot.dataLength;
+        const delta = bytes.length - oldLength;
+
+        if (delta > 0) {
+            if (buffer.subarray(slotEnd - delta, slotEnd).some(byte => byte !== 0)) {
+                throw new Error(`Slot ${slot.slotIndex} has no free space left at its end`);
+            }
+            buffer.copyWithin(offset + bytes.length, offset + oldLength, slotEnd - delta);
+        } else if (delta < 0) {
+            buffer.copyWithin(offset + bytes.length, offset + oldLength, slotEnd);
+            buffer.fill(0, slotEnd + delta, slotEnd);
+        }
+
+        bytes.copy(buffer, offset);
+    }
+
+    /**
+     * Put a handle into the first free entry of an inventory list and update the counters
+     */
+    writeInventoryEntry(buffer, section, capacities, list, handle, quantity) {
+        const countOffset = this.getInventoryListOffset(section, capacities, list);
+        const capacity = list === 'key' ? capacities.keyCapacity : capacities.commonCapacity;
+
+        let entryOffset = null;
+        for (let i = 0; i < capacity && entryOffset === null; i++) {
+            const candidate = countOffset + 4 + (i * INVENTORY_ENTRY_SIZE);
+            const existingHandle = buffer.readUInt32LE(candidate);
+            if (existingHandle === 0 || existingHandle === 0xFFFFFFFF) {
+                entryOffset = candidate;
+            }
+        }
+        if (entryOffset === null) {
+            throw new Error(`The ${list} item list is full`);
+        }
+
+        // The section ends with the next equip index and the next acquisition sort ID
+        const countersOffset = section.offset + section.length - 8;
+        const nextEquipIndex = buffer.readUInt32LE(countersOffset);
+        const nextAcquisitionIndex = buffer.readUInt32LE(countersOffset + 4);
+
+        buffer.writeUInt32LE(handle, entryOffset);
+        buffer.writeUInt32LE(quantity, entryOffset + 4);
+        buffer.writeUInt32LE(nextAcquisitionIndex, entryOffset + 8);
+        buffer.writeUInt32LE(nextEquipIndex + 1, countersOffset);
+        buffer.writeUInt32LE(nextAcquisitionIndex + 1, countersOffset + 4);
+        buffer.writeUInt32LE(buffer.readUInt32LE(countOffset) + 1, countOffset);
+    }
+
+    /**
+     * Read the equipped weapons, armor, talismans, quick items and pouch of a character slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @returns {Object} Loadout keyed by slot name, with the inventory entries each slot can take
+     */
+    getEquipment(buffer, slotIndex) {
+        try {
+            const slot = this.parseCharacterSlot(buffer, slotIndex);
+            const held = this.readSlotInventory(buffer, slot).held;
+            const heldByHandle = new Map(held.map(entry => [entry.handle, entry]));
+            const { sections } = slot;
+
+            const readU32 = (section, index) => buffer.readUInt32LE(sections[section].offset + (index * 4));
+            const describe = (handle, itemId, equipIndex) => {
+                const empty = handle === 0 || handle === 0xFFFFFFFF;
+                const entry = heldByHandle.get(handle);
+                const item = entry || (empty ? null : this.describeItemId(itemId));
+                return {
+                    handle,
+                    itemId,
+                    equipIndex,
+                    empty,
+                    name: empty ? 'Empty' : item.name,
+                    category: item ? item.category : null,
+                    upgradeLevel: item ? item.upgradeLevel : undefined,
+                    affinity: item ? item.affinity : undefined
+                };
+            };
+            const candidatesFor = (slotName) => held
+                .filter(entry => this.canEquip(slotName, entry))
+                .map(entry => ({ list: entry.list, listIndex: entry.listIndex, handle: entry.handle, name: entry.name }));
+
+            const equipment = {};
+            EQUIPMENT_SLOTS.forEach((slotName, index) => {
+                if (slotName.startsWith('unused')) {
+                    return;
+                }
+                equipment[slotName] = {
+                    ...describe(readU32('equippedItemsGaitemHandle', index), readU32('equippedItemsItemId', index), readU32('equippedItemsEquipIndex', index)),
+                    candidates: candidatesFor(slotName)
+                };
+            });
+
+            const readEquippedItems = (name) => {
+                const { offset, count } = EQUIPPED_ITEMS[name];
+                const items = [];
+                for (let i = 0; i < count; i++) {
+                    const entryOffset = sections.equippedItems.offset + offset + (i * 8);
+                    const handle = buffer.readUInt32LE(entryOffset);
+                    const itemId = readU32('equippedArmamentsAndItems', EQUIPPED_ITEM_ID_MIRROR[name] + i);
+                    items.push({
+                        index: i,
+                        ...describe(handle, itemId, buffer.readUInt32LE(entryOffset + 4)),
+                        candidates: candidatesFor(name === 'pouch' ? `pouch${i + 1}` : `quickItem${i + 1}`)
+                    });
+                }
+                return items;
+            };
+
+            const activeWeaponSlots = {};
+            ACTIVE_WEAPON_SLOTS.forEach((field, index) => {
+                activeWeaponSlots[field] = readU32('activeWeaponSlots', index);
+            });
+
+            return {
+                slotIndex,
+                equipment,
+                activeWeaponSlots,
+                quickItems: readEquippedItems('quickItems'),
+                activeQuickSlot: buffer.readUInt32LE(sections.equippedItems.offset + EQUIPPED_ITEMS.activeQuickSlot),
+                pouch: readEquippedItems('pouch')
+            };
+        } catch (error) {
+            throw new Error(`Failed to read equipment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Equip an item from the held inventory
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} options - { slot, list, listIndex }; slot is an equipment slot name, quickItem1-10 or pouch1-6
+     * @returns {Buffer} Modified buffer
+     */
+    equipItem(buffer, slotIndex, { slot: slotName, list, listIndex }) {
+        try {
+            const modifiedBuffer = Buffer.from(buffer);
+            const slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            const entry = this.findInventoryEntry(modifiedBuffer, slot, 'held', list, listIndex);
+
+            if (!this.canEquip(slotName, entry)) {
+                throw new Error(`${entry.name} cannot be equipped in ${slotName}`);
+            }
+
+            const { sections } = slot;
+            const fullItemId = this.getFullItemId(entry);
+            const writeU32 = (section, index, value) => modifiedBuffer.writeUInt32LE(value, sections[section].offset + (index * 4));
+            const quickMatch = /^(quickItem|pouch)(\d+)$/.exec(slotName);
+
+            if (quickMatch) {
+                const name = quickMatch[1] === 'pouch' ? 'pouch' : 'quickItems';
+                const position = parseInt(quickMatch[2]) - 1;
+                const { offset, count } = EQUIPPED_ITEMS[name];
+                if (position < 0 || position >= count) {
+                    throw new Error(`Unknown equipment slot: ${slotName}`);
+                }
+
+                // The same item cannot sit in two quick item or pouch slots
+                for (const other of ['quickItems', 'pouch']) {
+                    for (let i = 0; i < EQUIPPED_ITEMS[other].count; i++) {
+                        const otherOffset = sections.equippedItems.offset + EQUIPPED_ITEMS[other].offset + (i * 8);
+                        if (!(other === name && i === position) && modifiedBuffer.readUInt32LE(otherOffset) === entry.handle) {
+                            throw new Error(`${entry.name} is already equipped`);
+                        }
+                    }
+                }
+
+                const entryOffset = sections.equippedItems.offset + offset + (position * 8);
+                modifiedBuffer.writeUInt32LE(entry.handle, entryOffset);
+                modifiedBuffer.writeUInt32LE(entry.acquisitionIndex, entryOffset + 4);
+                writeU32('equippedArmamentsAndItems', EQUIPPED_ITEM_ID_MIRROR[name] + position, fullItemId);
+            } else {
+                const index = EQUIPMENT_SLOTS.indexOf(slotName);
+
+                // A weapon, armor piece or talisman instance can only be in one slot
+                const equippedIn = EQUIPMENT_SLOTS.findIndex((otherSlot, i) =>
+                    i !== index && modifiedBuffer.readUInt32LE(sections.equippedItemsGaitemHandle.offset + (i * 4)) === entry.handle);
+                if (equippedIn !== -1) {
+                    throw new Error(`${entry.name} is already equipped in ${EQUIPMENT_SLOTS[equippedIn]}`);
+                }
+
+                // The equip index refers to the inventory index stored in the entry
+                writeU32('equippedItemsEquipIndex', index, entry.acquisitionIndex);
+                writeU32('equippedItemsItemId', index, fullItemId);
+                writeU32('equippedItemsGaitemHandle', index, entry.handle);
+                writeU32('equippedArmamentsAndItems', index, fullItemId);
+
+                // Keep the load screen summary in step
+                const layout = this.getSaveLayout(modifiedBuffer);
+                const equipmentOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH) + HEADER_EQUIPMENT;
+                modifiedBuffer.writeUInt32LE(fullItemId, equipmentOffset + (index * 4));
             }
 
-            // Get HP/FP/Stamina values
-            const hpValues = [
-                slotData.readUInt16LE(statsOffset - 44),
-                slotData.readUInt16LE(statsOffset - 40),
-                slotData.readUInt16LE(statsOffset - 36)
-            ];
+            this.recalculateChecksums(modifiedBuffer);
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to equip item: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe one weapon instance with the edits it allows
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {number} handle - Gaitem handle of the weapon
+     * @returns {Object} Upgrade level, affinity, attached Ash of War and the Ashes of War the slot owns
+     */
+    getWeaponDetails(buffer, slotIndex, handle) {
+        try {
+            const slot = this.parseCharacterSlot(buffer, slotIndex);
+            const { gaItem, item } = this.findWeapon(slot, handle);
+            const itemId = gaItem.itemId;
+
+            // Every Ash of War the character owns, with the weapon it is attached to
+            const inventory = this.readSlotInventory(buffer, slot);
+            const ashesOfWar = [...inventory.held, ...inventory.storage]
+                .filter(entry => entry.category === 'ashOfWar')
+                .map(entry => {
+                    const weapon = slot.gaItems.find(candidate => candidate.aowHandle === entry.handle);
+                    const ashItem = itemDatabase.findItem('ashOfWar', entry.itemId);
+                    return {
+                        handle: entry.handle,
+                        name: entry.name,
+                        attachedTo: weapon ? weapon.handle : null,
+                        fitsWeapon: ashItem !== null && ashItem.weaponGroups.includes(item.group),
+                        affinities: ashItem ? ashItem.affinities : []
+                    };
+                });
+
+            const aowHandle = gaItem.aowHandle;
+            const attached = ashesOfWar.find(ash => ash.handle === aowHandle);
+
+            return {
+                handle,
+                itemId,
+                name: item.name,
+                upgrade: item.upgrade,
+                unique: item.unique,
+                infusable: item.infusable,
+                upgradeLevel: itemId % 100,
+                maxUpgradeLevel: MAX_UPGRADE_LEVELS[item.upgrade],
+                affinity: Math.floor((itemId % 10000) / 100),
+                affinities: itemDatabase.AFFINITIES,
+                aowHandle,
+                aowName: aowHandle === DEFAULT_ASH_OF_WAR ? 'Default skill' : (attached ? attached.name : 'Unknown Ash of War'),
+                ashesOfWar
+            };
+        } catch (error) {
+            throw new Error(`Failed to read weapon: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change the upgrade level, affinity or Ash of War of a weapon instance
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} options - { handle, upgradeLevel, affinity, aowHandle }, omitted values are left unchanged
+     * @returns {Buffer} Modified buffer
+     */
+    setWeaponProperties(buffer, slotIndex, { handle, upgradeLevel, affinity, aowHandle }) {
+        try {
+            const modifiedBuffer = Buffer.from(buffer);
+            const slot = this.parseCharacterSlot(modifiedBuffer, slotIndex);
+            const { gaItem, item } = this.findWeapon(slot, handle);
+
+            const currentLevel = gaItem.itemId % 100;
+            const currentAffinity = Math.floor((gaItem.itemId % 10000) / 100);
+            const newLevel = upgradeLevel !== undefined ? upgradeLevel : currentLevel;
+            const newAffinity = affinity !== undefined ? affinity : currentAffinity;
+            const newAowHandle = aowHandle !== undefined ? aowHandle : gaItem.aowHandle;
+
+            // Reject combinations the game cannot produce
+            const maxLevel = MAX_UPGRADE_LEVELS[item.upgrade];
+            if (maxLevel === 0 && newLevel !== 0) {
+                throw new Error(`${item.name} cannot be upgraded`);
+            }
+            if (!Number.isInteger(newLevel) || newLevel < 0 || newLevel > maxLevel) {
+                throw new Error(`${item.name} uses ${item.upgrade} smithing stones and goes from +0 to +${maxLevel}`);
+            }
+            if (!Number.isInteger(newAffinity) || newAffinity < 0 || newAffinity >= itemDatabase.AFFINITIES.length) {
+                throw new Error(`Unknown affinity: ${newAffinity}`);
+            }
+            if (newAffinity !== 0 && !item.infusable) {
+                throw new Error(`${item.name} cannot take an affinity`);
+            }
+            if (newAowHandle !== gaItem.aowHandle) {
+                if (!item.infusable) {
+                    throw new Error(`${item.name} cannot take an Ash of War`);
+                }
+                if (newAowHandle !== DEFAULT_ASH_OF_WAR) {
+                    const ash = slot.gaItems.find(candidate => candidate.handle === newAowHandle);
+                    if (!ash || ash.type !== 'ashOfWar') {
+                        throw new Error(`Ash of War handle 0x${newAowHandle.toString(16)} does not exist in this slot`);
+                    }
+                    const otherWeapon = slot.gaItems.find(candidate => candidate.handle !== handle && candidate.aowHandle === newAowHandle);
+                    if (otherWeapon) {
+                        throw new Error('That Ash of War is already attached to another weapon');
+                    }
+                }
+            }
+
+            // The attached Ash of War decides which weapon groups and affinities are possible
+            if (newAowHandle !== DEFAULT_ASH_OF_WAR) {
+                const ash = slot.gaItems.find(candidate => candidate.handle === newAowHandle);
+                const ashItem = ash ? itemDatabase.findItem('ashOfWar', (ash.itemId & 0x0FFFFFFF) >>> 0) : null;
+                if (!ashItem) {
+                    throw new Error(`Ash of War handle 0x${newAowHandle.toString(16)} is not in the item database`);
+                }
+                const conflict = itemDatabase.getAshOfWarConflict(ashItem, item, newAffinity);
+                if (conflict) {
+                    throw new Error(conflict);
+                }
+            }
+
+            const baseId = gaItem.itemId - (gaItem.itemId % 10000);
+            const newItemId = baseId + (newAffinity * 100) + newLevel;
+            modifiedBuffer.writeUInt32LE(newItemId, gaItem.offset + 4);
+            modifiedBuffer.writeUInt32LE(newAowHandle, gaItem.offset + 16);
+
+            // Equipped copies of the item ID have to follow
+            const layout = this.getSaveLayout(modifiedBuffer);
+            const equipmentOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH) + HEADER_EQUIPMENT;
+            EQUIPMENT_SLOTS.forEach((slotName, index) => {
+                if (modifiedBuffer.readUInt32LE(slot.sections.equippedItemsGaitemHandle.offset + (index * 4)) === handle) {
+                    modifiedBuffer.writeUInt32LE(newItemId, slot.sections.equippedItemsItemId.offset + (index * 4));
+                    modifiedBuffer.writeUInt32LE(newItemId, slot.sections.equippedArmamentsAndItems.offset + (index * 4));
+                    modifiedBuffer.writeUInt32LE(newItemId, equipmentOffset + (index * 4));
+                }
+            });
+
+            this.recalculateChecksums(modifiedBuffer);
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to edit weapon: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a weapon gaitem and its item database entry
+     */
+    findWeapon(slot, handle) {
+        const gaItem = slot.gaItems.find(candidate => candidate.handle === handle);
+        if (!gaItem || gaItem.type !== 'weapon') {
+            throw new Error(`No weapon with handle 0x${(handle >>> 0).toString(16)} in this slot`);
+        }
+
+        const item = itemDatabase.findItem('weapon', gaItem.itemId);
+        if (!item) {
+            throw new Error(`Weapon ${gaItem.itemId} is not in the item database`);
+        }
+
+        return { gaItem, item };
+    }
+
+    /**
+     * Whether an inventory entry fits an equipment, quick item or pouch slot
+     */
+    canEquip(slotName, entry) {
+        const ammunitionGroups = Object.values(AMMUNITION_SLOT_GROUPS).flat();
+        if (/^(leftHand|rightHand)\d$/.test(slotName)) {
+            return entry.category === 'weapon' && !ammunitionGroups.includes(entry.group);
+        }
+        const ammunitionSlot = slotName.match(/^(arrows|bolts)\d$/);
+        if (ammunitionSlot) {
+            return entry.category === 'weapon' && AMMUNITION_SLOT_GROUPS[ammunitionSlot[1]].includes(entry.group);
+        }
+        if (ARMOR_SLOT_GROUPS[slotName]) {
+            return entry.category === 'armor' && entry.group === ARMOR_SLOT_GROUPS[slotName];
+        }
+        if (/^talisman\d$/.test(slotName)) {
+            return entry.category === 'talisman';
+        }
+        if (/^(quickItem|pouch)\d+$/.test(slotName)) {
+            return entry.category === 'item' && entry.group === 'Consumables';
+        }
+        throw new Error(`Unknown equipment slot: ${slotName}`);
+    }
+
+    /**
+     * Item ID including the category bits, as used by the equipment tables
+     */
+    getFullItemId(entry) {
+        return (itemDatabase.ITEM_CATEGORIES[entry.category].idPrefix | entry.itemId) >>> 0;
+    }
+
+    /**
+     * Describe an item from its full item ID (category bits included)
+     */
+    describeItemId(fullItemId) {
+        const prefix = (fullItemId & 0xF0000000) >>> 0;
+        const [category] = Object.entries(itemDatabase.ITEM_CATEGORIES).find(([, info]) => info.idPrefix === prefix) || [null];
+        const itemId = (fullItemId & 0x0FFFFFFF) >>> 0;
+        const item = category ? itemDatabase.findItem(category, itemId) : null;
+
+        let name = `Unknown item (${fullItemId})`;
+        if (item) {
+            name = item.name;
+        } else if (category) {
+            name = `Unknown ${itemDatabase.ITEM_CATEGORIES[category].label.toLowerCase()} (${itemId})`;
+        }
+
+        const description = { category, itemId, name, group: item ? item.group : 'Unknown' };
 
-            const staminaValues = [
-                slotData.readUInt16LE(statsOffset - 16),
-                slotData.readUInt16LE(statsOffset - 12),
-                slotData.readUInt16LE(statsOffset - 8)
-            ];
+        // Ammunition has no upgrade level or affinity
+        if (category === 'weapon' && !(item && item.upgrade === 'none')) {
+            description.upgradeLevel = itemId % 100;
+            description.affinity = itemDatabase.AFFINITIES[Math.floor((itemId % 10000) / 100)] || 'Unknown';
+        }
+        return description;
+    }
 
-            const fpValues = [
-                slotData.readUInt16LE(statsOffset - 32),
-                slotData.readUInt16LE(statsOffset - 28),
-                slotData.readUInt16LE(statsOffset - 24)
-            ];
+    /**
+     * Get character stats from a save slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @returns {Object|null} Character stats or null if not found
+     */
+    getCharacterStats(buffer, slotIndex) {
+        try {
+            const { playerGameData, sections } = this.parseCharacterSlot(buffer, slotIndex);
+            const base = playerGameData.offset;
+            const tripleOffsets = (start) => [0, 4, 8].map(delta => base + start + delta);
 
             return {
                 slotIndex,
-                level,
-                statsOffset: slotOffset + statsOffset,
-                stats: {
-                    vigor: stats[0],
-                    mind: stats[1],
-                    endurance: stats[2],
-                    strength: stats[3],
-                    dexterity: stats[4],
-                    intelligence: stats[5],
-                    faith: stats[6],
-                    arcane: stats[7]
-                },
-                hp: hpValues,
-                stamina: staminaValues,
-                fp: fpValues,
-                hpOffsets: [
-                    slotOffset + statsOffset - 44,
-                    slotOffset + statsOffset - 40,
-                    slotOffset + statsOffset - 36
-                ],
-                staminaOffsets: [
-                    slotOffset + statsOffset - 16,
-                    slotOffset + statsOffset - 12,
-                    slotOffset + statsOffset - 8
-                ],
-                fpOffsets: [
-                    slotOffset + statsOffset - 32,
-                    slotOffset + statsOffset - 28,
-                    slotOffset + statsOffset - 24
-                ]
+                level: playerGameData.level,
+                statsOffset: base + PLAYER_GAME_DATA.stats,
+                stats: { ...playerGameData.stats },
+                runes: playerGameData.runes,
+                runesMemory: playerGameData.runesMemory,
+                clearCount: buffer.readUInt32LE(sections.gameMan.offset + GAME_MAN.clearCount),
+                maxClearCount: MAX_CLEAR_COUNT,
+                archetype: playerGameData.archetype,
+                bodyType: playerGameData.bodyType,
+                classes: ARCHETYPES.map((name, index) => ({
+                    index,
+                    name,
+                    baseStats: Object.fromEntries(STAT_NAMES.map((statName, i) => [statName, CLASS_BASE_STATS[index][i]]))
+                })),
+                bodyTypes: BODY_TYPES,
+                hp: playerGameData.health,
+                stamina: playerGameData.stamina,
+                fp: playerGameData.fp,
+                hpOffsets: tripleOffsets(PLAYER_GAME_DATA.health),
+                staminaOffsets: tripleOffsets(PLAYER_GAME_DATA.stamina),
+                fpOffsets: tripleOffsets(PLAYER_GAME_DATA.fp)
             };
         } catch (error) {
             console.error('Error getting character stats:', error);
@@ -585,41 +2529,42 @@ class EldenRingSaveManager {
                 throw new Error('Could not find character stats');
             }
 
-            // Calculate new level
-            const statSum = Object.values(newStats).reduce((sum, stat) => sum + stat, 0);
-            const newLevel = statSum - 79;
+            // Attributes range from 1 to 99 and the level is always derived from them
+            for (const statName of STAT_NAMES) {
+                const value = newStats[statName];
+                if (!Number.isInteger(value) || value < 1 || value > 99) {
+                    throw new Error(`${statName} must be a whole number between 1 and 99`);
+                }
+            }
+            const newLevel = STAT_NAMES.map(statName => newStats[statName]).reduce((sum, stat) => sum + stat, 0) - 79;
 
             // Create a copy of the buffer to modify
             const modifiedBuffer = Buffer.from(buffer);
 
-            // Update individual stats (each stat is 1 byte with 3 padding bytes)
-            const statNames = ['vigor', 'mind', 'endurance', 'strength', 'dexterity', 'intelligence', 'faith', 'arcane'];
-            const slotOffset = 0x310 + (slotIndex * 2621456);
-
-            statNames.forEach((statName, index) => {
-                const statOffset = currentStats.statsOffset - slotOffset + (index * 4);
-                modifiedBuffer.writeUInt8(newStats[statName], slotOffset + statOffset);
+            // Update individual stats (each stat is a u32)
+            STAT_NAMES.forEach((statName, index) => {
+                modifiedBuffer.writeUInt32LE(newStats[statName], currentStats.statsOffset + (index * 4));
             });
 
-            // Update level at stats location
-            modifiedBuffer.writeUInt16LE(newLevel, currentStats.statsOffset + 44);
+            // Update level in PlayerGameData
+            modifiedBuffer.writeUInt32LE(newLevel, currentStats.statsOffset - PLAYER_GAME_DATA.stats + PLAYER_GAME_DATA.level);
 
-            // Update level in header using Python's method
-            const baseLevelOffset = 26221872; // 0x1901D0E + 34 in decimal
-            const levelOffset = baseLevelOffset + (slotIndex * 588);
-            modifiedBuffer.writeUInt16LE(newLevel, levelOffset);
+            // Update level in the slot's header entry
+            const layout = this.getSaveLayout(modifiedBuffer);
+            const levelOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH) + 34;
+            modifiedBuffer.writeUInt32LE(newLevel, levelOffset);
 
             // Handle god mode or custom HP/FP/Stamina values
             if (options.godMode) {
                 // Set HP, FP, Stamina to 60000
                 currentStats.hpOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(60000, offset);
+                    modifiedBuffer.writeUInt32LE(60000, offset);
                 });
                 currentStats.fpOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(60000, offset);
+                    modifiedBuffer.writeUInt32LE(60000, offset);
                 });
                 currentStats.staminaOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(60000, offset);
+                    modifiedBuffer.writeUInt32LE(60000, offset);
                 });
             } else if (options.customAttributes) {
                 // Set custom HP/FP/Stamina values based on stats
@@ -628,13 +2573,13 @@ class EldenRingSaveManager {
                 const staminaValue = this.calculateStamina(newStats.endurance);
 
                 currentStats.hpOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(hpValue, offset);
+                    modifiedBuffer.writeUInt32LE(hpValue, offset);
                 });
                 currentStats.fpOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(fpValue, offset);
+                    modifiedBuffer.writeUInt32LE(fpValue, offset);
                 });
                 currentStats.staminaOffsets.forEach(offset => {
-                    modifiedBuffer.writeUInt16LE(staminaValue, offset);
+                    modifiedBuffer.writeUInt32LE(staminaValue, offset);
                 });
             }
 
@@ -647,6 +2592,164 @@ class EldenRingSaveManager {
         }
     }
 
+    /**
+     * Set the runes a character holds and the total runes acquired (rune memory)
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} values - { runes, runesMemory }, omitted values are left unchanged
+     * @returns {Buffer} Modified buffer
+     */
+    setCharacterRunes(buffer, slotIndex, { runes, runesMemory }) {
+        try {
+            for (const [field, value] of Object.entries({ runes, runesMemory })) {
+                if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_RUNES)) {
+                    throw new Error(`${field} must be a whole number between 0 and ${MAX_RUNES.toLocaleString('en-US')}`);
+                }
+            }
+
+            const { playerGameData } = this.parseCharacterSlot(buffer, slotIndex);
+            const modifiedBuffer = Buffer.from(buffer);
+
+            if (runes !== undefined) {
+                modifiedBuffer.writeUInt32LE(runes, playerGameData.offset + PLAYER_GAME_DATA.runes);
+            }
+
+            if (runesMemory !== undefined) {
+                modifiedBuffer.writeUInt32LE(runesMemory, playerGameData.offset + PLAYER_GAME_DATA.runesMemory);
+
+                // The profile summary shows rune memory on the load screen
+                const layout = this.getSaveLayout(modifiedBuffer);
+                const runesMemoryOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH) + 42;
+                modifiedBuffer.writeUInt32LE(runesMemory, runesMemoryOffset);
+            }
+
+            // Recalculate checksums
+            this.recalculateChecksums(modifiedBuffer);
+
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to set runes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the journey (NG+ cycle), starting class and body type of a character
+     * The profile summary keeps its own copy of the class and body type for the load screen.
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} details - { clearCount, archetype, bodyType }, omitted fields are left unchanged
+     * @returns {Buffer} Modified save file buffer
+     */
+    setCharacterDetails(buffer, slotIndex, { clearCount, archetype, bodyType }) {
+        try {
+            if (clearCount !== undefined && (!Number.isInteger(clearCount) || clearCount < 0 || clearCount > MAX_CLEAR_COUNT)) {
+                throw new Error(`Clear count must be a whole number between 0 and ${MAX_CLEAR_COUNT}`);
+            }
+            if (archetype !== undefined && !(Number.isInteger(archetype) && archetype >= 0 && archetype < ARCHETYPES.length)) {
+                throw new Error(`Unknown class: ${archetype}`);
+            }
+            if (bodyType !== undefined && !(Number.isInteger(bodyType) && bodyType >= 0 && bodyType < BODY_TYPES.length)) {
+                throw new Error(`Unknown body type: ${bodyType}`);
+            }
+
+            const { playerGameData, sections } = this.parseCharacterSlot(buffer, slotIndex);
+            const modifiedBuffer = Buffer.from(buffer);
+            const layout = this.getSaveLayout(modifiedBuffer);
+            const headerOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH);
+
+            if (clearCount !== undefined) {
+                modifiedBuffer.writeUInt32LE(clearCount, sections.gameMan.offset + GAME_MAN.clearCount);
+            }
+
+            if (archetype !== undefined) {
+                modifiedBuffer[playerGameData.offset + PLAYER_GAME_DATA.archetype] = archetype;
+                modifiedBuffer[headerOffset + HEADER_ARCHETYPE] = archetype;
+            }
+
+            if (bodyType !== undefined) {
+                modifiedBuffer[playerGameData.offset + PLAYER_GAME_DATA.bodyType] = bodyType;
+                modifiedBuffer[headerOffset + HEADER_BODY_TYPE] = bodyType;
+            }
+
+            // Recalculate checksums
+            this.recalculateChecksums(modifiedBuffer);
+
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to set character details: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the appearance of a character as a preset that can be applied to any slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @returns {Object} Preset with the body type and both copies of the face data as base64
+     */
+    exportAppearance(buffer, slotIndex) {
+        try {
+            const { playerGameData, sections } = this.parseCharacterSlot(buffer, slotIndex);
+            const layout = this.getSaveLayout(buffer);
+            const headerFaceOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH) + HEADER_FACE_DATA.offset;
+            const faceData = sections.faceData;
+
+            return {
+                format: APPEARANCE_PRESET_FORMAT,
+                version: APPEARANCE_PRESET_VERSION,
+                characterName: playerGameData.characterName,
+                bodyType: playerGameData.bodyType,
+                slotFaceData: buffer.slice(faceData.offset, faceData.offset + faceData.length).toString('base64'),
+                profileFaceData: buffer.slice(headerFaceOffset, headerFaceOffset + HEADER_FACE_DATA.length).toString('base64')
+            };
+        } catch (error) {
+            throw new Error(`Failed to export appearance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply an appearance preset to a character, leaving stats and inventory untouched
+     * @param {Buffer} buffer - Save file buffer
+     * @param {number} slotIndex - Character slot index (0-9)
+     * @param {Object} preset - Result of exportAppearance
+     * @returns {Buffer} Modified save file buffer
+     */
+    importAppearance(buffer, slotIndex, preset) {
+        try {
+            if (!preset || preset.format !== APPEARANCE_PRESET_FORMAT) {
+                throw new Error('Not an appearance preset');
+            }
+            if (preset.version !== APPEARANCE_PRESET_VERSION) {
+                throw new Error(`Unsupported preset version ${preset.version}`);
+            }
+            if (!(Number.isInteger(preset.bodyType) && preset.bodyType >= 0 && preset.bodyType < BODY_TYPES.length)) {
+                throw new Error(`Unknown body type: ${preset.bodyType}`);
+            }
+
+            const { playerGameData, sections } = this.parseCharacterSlot(buffer, slotIndex);
+            const slotFaceData = Buffer.from(preset.slotFaceData || '', 'base64');
+            const profileFaceData = Buffer.from(preset.profileFaceData || '', 'base64');
+            if (slotFaceData.length !== sections.faceData.length || profileFaceData.length !== HEADER_FACE_DATA.length) {
+                throw new Error('Preset face data has the wrong size');
+            }
+
+            const modifiedBuffer = Buffer.from(buffer);
+            const layout = this.getSaveLayout(modifiedBuffer);
+            const headerOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH);
+
+            slotFaceData.copy(modifiedBuffer, sections.faceData.offset);
+            profileFaceData.copy(modifiedBuffer, headerOffset + HEADER_FACE_DATA.offset);
+            modifiedBuffer[playerGameData.offset + PLAYER_GAME_DATA.bodyType] = preset.bodyType;
+            modifiedBuffer[headerOffset + HEADER_BODY_TYPE] = preset.bodyType;
+
+            // Recalculate checksums
+            this.recalculateChecksums(modifiedBuffer);
+
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to import appearance: ${error.message}`);
+        }
+    }
+
     /**
      * Calculate HP based on Vigor stat
      */
@@ -709,46 +2812,212 @@ class EldenRingSaveManager {
      * @param {Buffer} buffer - Save file buffer to update checksums for
      */
     recalculateChecksums(buffer) {
-        const crypto = require('crypto');
+        const layout = this.getSaveLayout(buffer);
+
+        // Every character slot, then the profile section that holds the slot headers
+        for (const section of [...layout.slots, layout.profile]) {
+            const sectionData = buffer.slice(section.dataOffset, section.dataOffset + section.dataLength);
+            const newChecksum = crypto.createHash('md5').update(sectionData).digest();
+            newChecksum.copy(buffer, section.checksumOffset);
+        }
+    }
+
+    /**
+     * Verify the BND4 container and the MD5 checksum of every save section
+     * @param {Buffer} buffer - Save file buffer
+     * @returns {Object} Report with header checks and per-slot checksum status
+     */
+    verifySaveFile(buffer) {
+        const header = [];
+        const check = (name, ok, message) => header.push({ check: name, ok, message: ok ? 'OK' : message });
+
+        let layout = null;
+        try {
+            const reader = new BufferReader(buffer);
+            const containerHeader = this.readContainerHeader(reader);
+            check('BND4 magic', true);
+
+            check('Header size', containerHeader.headerSize === 0x40n,
+                `Header size is ${containerHeader.headerSize}, expected 64`);
+
+            const expectedFileHeaderSize = this.getGameFileHeaderSize(containerHeader.format);
+            check('File header size', Number(containerHeader.fileHeaderSize) === expectedFileHeaderSize,
+                `File header size is ${containerHeader.fileHeaderSize}, expected ${expectedFileHeaderSize} for format 0x${containerHeader.format.toString(16)}`);
+
+            const gameFileHeaders = this.readGameFileHeaders(reader, containerHeader.fileCount, containerHeader.format, containerHeader.unicode, containerHeader.bigEndian);
+            check('File count', containerHeader.fileCount === this.SAVE_SLOT_COUNT + 2,
+                `Found ${containerHeader.fileCount} entries, expected ${this.SAVE_SLOT_COUNT + 2}`);
+
+            const outOfBounds = gameFileHeaders.filter(entry =>
+                entry.dataOffset < 0n || entry.dataOffset + entry.compressedSize > BigInt(buffer.length));
+            check('Entry bounds', outOfBounds.length === 0,
+                `${outOfBounds.map(entry => entry.name).join(', ')} point outside the file`);
+
+            const firstDataOffset = gameFileHeaders.reduce((min, entry) => entry.dataOffset < min ? entry.dataOffset : min, BigInt(buffer.length));
+            check('Name table', containerHeader.headersEnd <= firstDataOffset,
+                'File names overlap the first entry\'s data');
+
+            layout = this.buildSaveLayout(gameFileHeaders, buffer.length);
+            check('Save sections', true);
+        } catch (error) {
+            check('Container', false, error.message);
+        }
+
+        if (!layout) {
+            return { valid: false, header, slots: [], profile: null };
+        }
+
+        const verifySection = (section) => {
+            const sectionData = buffer.slice(section.dataOffset, section.dataOffset + section.dataLength);
+            const storedChecksum = buffer.slice(section.checksumOffset, section.checksumOffset + this.CHECKSUM_LENGTH).toString('hex');
+            const computedChecksum = crypto.createHash('md5').update(sectionData).digest('hex');
+            return {
+                name: section.name,
+                storedChecksum,
+                computedChecksum,
+                status: storedChecksum === computedChecksum ? 'ok' : 'mismatch'
+            };
+        };
+
+        const slots = layout.slots.map(slot => {
+            const active = buffer[layout.activeSaveSlotOffset + slot.index] === 1;
+            const result = verifySection(slot);
+            return {
+                index: slot.index,
+                active,
+                ...result,
+                // The game ignores inactive slots, so their checksum doesn't matter
+                status: active ? result.status : 'empty'
+            };
+        });
+
+        const profile = verifySection(layout.profile);
+
+        const valid = header.every(entry => entry.ok) &&
+            profile.status === 'ok' &&
+            slots.every(slot => slot.status !== 'mismatch');
 
-        // Slot configuration
-        const slotLength = 2621439;
-        const checksumLength = 15;
-        let slotDataIndex = 0x00000310;
-        let checksumIndex = 0x00000300;
+        return { valid, header, slots, profile };
+    }
 
-        // Process each of the 10 character slots
-        for (let i = 0; i < 10; i++) {
-            // Extract slot data
-            const slotData = buffer.slice(slotDataIndex, slotDataIndex + slotLength + 1);
+    /**
+     * Repair a save file with bad checksums or a damaged container header
+     * @param {Buffer} buffer - Possibly damaged save file buffer
+     * @returns {Object} Repaired buffer and a report of every change made
+     */
+    repairSaveFile(buffer) {
+        try {
+            const changes = [];
+            let saveFile;
 
-            // Calculate new MD5 checksum for the slot data
-            const newChecksum = crypto.createHash('md5').update(slotData).digest();
+            // Keep the existing container when it parses, otherwise carve sections out of the standard layout
+            try {
+                saveFile = this.parseSaveFile(Buffer.from(buffer));
+            } catch (error) {
+                changes.push(`Container header rebuilt from template (${error.message})`);
+                saveFile = this.parseSaveFile(this.serializeSaveFile(this.rebuildContainer(buffer)));
+            }
 
-            // Extract current checksum
-            const currentChecksum = buffer.slice(checksumIndex, checksumIndex + checksumLength + 1);
+            const repairedBuffer = this.serializeSaveFile(saveFile);
+            const before = this.verifySaveFile(repairedBuffer);
+            const layout = this.getSaveLayout(repairedBuffer);
 
-            // Compare and update if different
-            if (!newChecksum.equals(currentChecksum.slice(0, newChecksum.length))) {
-                // Update the checksum in the buffer
-                newChecksum.copy(buffer, checksumIndex);
+            if (before.profile.status === 'mismatch') {
+                changes.push('Profile checksum rebuilt');
             }
 
-            // Move to next slot
-            slotDataIndex += 2621456;
-            checksumIndex += 2621456;
+            const slots = before.slots.map(slot => {
+                if (slot.status === 'empty') {
+                    return { index: slot.index, action: 'empty' };
+                }
+                if (slot.status === 'ok') {
+                    return { index: slot.index, action: 'intact' };
+                }
+
+                // Stale checksum over readable character data: keep the slot and fix its checksum
+                if (this.isSlotReadable(repairedBuffer, slot.index)) {
+                    changes.push(`Slot ${slot.index} checksum rebuilt`);
+                    return { index: slot.index, action: 'checksum rebuilt' };
+                }
+
+                // Unreadable slot: deactivate it so the game still loads the other characters
+                repairedBuffer[layout.activeSaveSlotOffset + slot.index] = 0;
+                changes.push(`Slot ${slot.index} is damaged and was deactivated`);
+                return { index: slot.index, action: 'deactivated' };
+            });
+
+            this.recalculateChecksums(repairedBuffer);
+            const after = this.verifySaveFile(repairedBuffer);
+
+            return {
+                buffer: repairedBuffer,
+                report: {
+                    changes,
+                    slots,
+                    valid: after.valid
+                }
+            };
+        } catch (error) {
+            throw new Error(`Failed to repair save file: ${error.message}`);
         }
+    }
 
-        // Calculate general checksum
-        const generalDataStart = 0x019003B0;
-        const generalDataEnd = 0x019603AF;
-        const generalChecksumStart = 0x019003A0;
+    /**
+     * Build a container model by carving sections out of the standard PC save layout
+     * @param {Buffer} buffer - Save file buffer with an unreadable header
+     * @returns {Object} Container model accepted by serializeSaveFile
+     */
+    rebuildContainer(buffer) {
+        const template = this.CONTAINER_TEMPLATE;
+        const sectionLengths = [
+            ...Array(this.SAVE_SLOT_COUNT).fill(this.SAVE_DATA_LENGTH),
+            this.SAVE_HEADERS_SECTION_LENGTH,
+            template.regulationLength
+        ];
+
+        let offset = template.firstDataOffset;
+        const gameFiles = sectionLengths.map((length, index) => {
+            // Missing bytes at the end of a truncated file become zeros
+            const data = Buffer.alloc(this.CHECKSUM_LENGTH + length);
+            buffer.copy(data, 0, Math.min(offset, buffer.length), Math.min(offset + data.length, buffer.length));
+            offset += data.length;
+
+            return {
+                header: {
+                    fileFlags: template.fileFlags,
+                    uncompressedSize: -1n,
+                    id: -1,
+                    name: `${this.SAVE_IDENTIFIER}${String(index).padStart(3, '0')}`,
+                    reserved: 0
+                },
+                data
+            };
+        });
 
-        const generalData = buffer.slice(generalDataStart, generalDataEnd + 1);
-        const newGeneralChecksum = crypto.createHash('md5').update(generalData).digest();
+        return {
+            unk04: false,
+            unk05: false,
+            bigEndian: false,
+            bitBigEndian: false,
+            version: template.version,
+            unicode: true,
+            rawFormat: template.rawFormat,
+            format: this.reverseBytes(template.rawFormat),
+            extended: 0,
+            gameFiles
+        };
+    }
 
-        // Update general checksum
-        newGeneralChecksum.copy(buffer, generalChecksumStart);
+    /**
+     * Check whether a slot still holds readable character data
+     */
+    isSlotReadable(buffer, slotIndex) {
+        try {
+            this.parseCharacterSlot(buffer, slotIndex);
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -759,8 +3028,9 @@ class EldenRingSaveManager {
      */
     getCharacterName(buffer, slotIndex) {
         try {
-            // Character names are stored at offset 0x1901D0E, 588 bytes apart
-            const nameOffset = 0x1901D0E + (slotIndex * 588);
+            // Character names start each slot's header entry in the profile section
+            const layout = this.getSaveLayout(buffer);
+            const nameOffset = layout.headerDataOffset + (slotIndex * this.HEADER_DATA_LENGTH);
 
             // Verify offset is within buffer bounds
             if (nameOffset + 32 > buffer.length) {
@@ -844,6 +3114,136 @@ class EldenRingSaveManager {
             throw new Error(`Failed to set character name: ${error.message}`);
         }
     }
+
+    /**
+     * Read the Steam ID stored in the profile section and the Steam ID field of every slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {Object} [layout] - Save layout, derived from the buffer when omitted
+     * @returns {Object} Profile Steam ID and per-slot Steam IDs
+     */
+    readSteamIds(buffer, layout = this.getSaveLayout(buffer)) {
+        const profileSteamId = buffer.readBigUInt64LE(layout.steamIdOffset).toString();
+        const active = buffer.slice(layout.activeSaveSlotOffset, layout.activeSaveSlotOffset + this.SAVE_SLOT_COUNT);
+
+        const slots = layout.slots.map(slot => {
+            const entry = { index: slot.index, active: active[slot.index] === 1, steamId: null, matchesProfile: false };
+
+            // Empty or unreadable slots have no Steam ID to compare
+            let offset;
+            try {
+                offset = this.getSlotSteamIdOffset(buffer, this.parseCharacterSlot(buffer, slot.index, layout));
+            } catch (error) {
+                return entry;
+            }
+
+            entry.steamId = buffer.readBigUInt64LE(offset).toString();
+            entry.matchesProfile = entry.steamId !== '0' && entry.steamId === profileSteamId;
+            return entry;
+        });
+
+        return { steamId: profileSteamId, slots };
+    }
+
+    /**
+     * Absolute offset of the Steam ID field of a parsed character slot
+     * @param {Buffer} buffer - Buffer holding the slot data
+     * @param {Object} slot - Result of parseCharacterSlot or parseSlotData
+     * @returns {number} Offset of the u64 Steam ID
+     */
+    getSlotSteamIdOffset(buffer, slot) {
+        const label = slot.slotIndex === null ? 'Extracted slot' : `Slot ${slot.slotIndex}`;
+        const slotEnd = slot.dataOffset + slot.dataLength;
+        let offset = slot.sections.eventFlags.offset + slot.sections.eventFlags.length;
+
+        for (const field of SLOT_STEAM_ID_PATH) {
+            if (field.minVersion && slot.version < field.minVersion) {
+                continue;
+            }
+
+            let length = field.length;
+            if (field.sizePrefixed) {
+                if (offset + 4 > slotEnd) {
+                    throw new Error(`${label} ${field.name} runs past the end of the slot`);
+                }
+                length = 4 + buffer.readInt32LE(offset);
+            }
+
+            if (length < 0 || offset + length > slotEnd) {
+                throw new Error(`${label} ${field.name} runs past the end of the slot`);
+            }
+            offset += length;
+        }
+
+        if (offset + 8 > slotEnd) {
+            throw new Error(`${label} Steam ID runs past the end of the slot`);
+        }
+        return offset;
+    }
+
+    /**
+     * Write a new Steam ID into the profile section and the Steam ID field of every occupied slot
+     * @param {Buffer} buffer - Save file buffer
+     * @param {string} newSteamId - Steam ID64 as a decimal string
+     * @returns {Buffer} Modified buffer, or the original buffer when the Steam ID is already set
+     */
+    setSteamId(buffer, newSteamId) {
+        try {
+            const steamId = this.parseSteamId(newSteamId);
+            const layout = this.getSaveLayout(buffer);
+
+            if (buffer.readBigUInt64LE(layout.steamIdOffset) === 0n) {
+                throw new Error('The profile has no Steam ID to replace');
+            }
+
+            // Locate every field before writing so a damaged slot leaves the file untouched
+            const offsets = [layout.steamIdOffset];
+            for (const slot of layout.slots) {
+                let parsedSlot;
+                try {
+                    parsedSlot = this.parseCharacterSlot(buffer, slot.index, layout);
+                } catch (error) {
+                    if (buffer.readUInt32LE(slot.dataOffset) === 0) {
+                        continue; // empty slot
+                    }
+                    throw error;
+                }
+                offsets.push(this.getSlotSteamIdOffset(buffer, parsedSlot));
+            }
+
+            if (offsets.every(offset => buffer.readBigUInt64LE(offset) === steamId)) {
+                return buffer;
+            }
+
+            const modifiedBuffer = Buffer.from(buffer);
+            for (const offset of offsets) {
+                modifiedBuffer.writeBigUInt64LE(steamId, offset);
+            }
+
+            this.recalculateChecksums(modifiedBuffer);
+
+            return modifiedBuffer;
+        } catch (error) {
+            throw new Error(`Failed to set Steam ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a Steam ID64 entered as text
+     * @param {string} value - Decimal Steam ID64
+     * @returns {bigint} Parsed Steam ID
+     */
+    parseSteamId(value) {
+        const text = String(value).trim();
+        if (!/^\d{1,20}$/.test(text)) {
+            throw new Error('Steam ID must be a number, e.g. 76561198000000000');
+        }
+
+        const steamId = BigInt(text);
+        if (steamId === 0n || steamId > 0xFFFFFFFFFFFFFFFFn) {
+            throw new Error('Steam ID is out of range');
+        }
+        return steamId;
+    }
 }
 
 /**
@@ -867,6 +3267,12 @@ class BufferReader {
         return value;
     }
 
+    readUInt32LE() {
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
     readBigInt64LE() {
         const value = this.buffer.readBigInt64LE(this.offset);
         this.offset += 8;
@@ -898,5 +3304,57 @@ class BufferReader {
     }
 }
 
+/**
+ * Helper class for writing binary data
+ */
+class BufferWriter {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    writeUInt8(value) {
+        this.buffer.writeUInt8(value, this.offset);
+        this.offset += 1;
+    }
+
+    writeUInt32LE(value) {
+        this.buffer.writeUInt32LE(value, this.offset);
+        this.offset += 4;
+    }
+
+    writeInt32LE(value) {
+        this.buffer.writeInt32LE(value, this.offset);
+        this.offset += 4;
+    }
+
+    writeBigInt64LE(value) {
+        this.buffer.writeBigInt64LE(value, this.offset);
+        this.offset += 8;
+    }
+
+    writeBoolean(value) {
+        this.writeUInt8(value ? 1 : 0);
+    }
+
+    writeString(value) {
+        this.offset += this.buffer.write(value, this.offset, 'ascii');
+    }
+
+    writeBytes(bytes) {
+        Buffer.from(bytes).copy(this.buffer, this.offset);
+        this.offset += bytes.length;
+    }
+
+    skip(bytes) {
+        this.offset += bytes;
+    }
+
+    seek(position) {
+        this.offset = position;
+    }
+}
+
 module.exports = EldenRingSaveManager;
 module.exports.BufferReader = BufferReader;
+module.exports.BufferWriter = BufferWriter;
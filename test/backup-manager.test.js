@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BackupManager = require('../backup-manager');
+
+// Give each test its own backup directory and save file, removed afterwards
+const withBackupDir = (run) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ersm-backups-'));
+    const savePath = path.join(root, 'ER0000.sl2');
+    fs.writeFileSync(savePath, 'save');
+    try {
+        run(new BackupManager(path.join(root, 'backups')), savePath);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+};
+
+// Move a backup back in time by rewriting the creation date in its sidecar
+const ageBackup = (manager, entry, days) => {
+    const createdAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const sidecar = path.join(manager.backupDir, `${entry.id}.json`);
+    fs.writeFileSync(sidecar, JSON.stringify({ ...entry, createdAt }));
+};
+
+test('createBackup copies the file and lists it', () => {
+    withBackupDir((manager, savePath) => {
+        const entry = manager.createBackup(savePath, 'Copy save');
+
+        assert.strictEqual(entry.operation, 'Copy save');
+        assert.deepStrictEqual(manager.listBackups().map(backup => backup.id), [entry.id]);
+        assert.strictEqual(manager.readBackup(entry.id).toString(), 'save');
+        assert.strictEqual(manager.createBackup(path.join(path.dirname(savePath), 'missing.sl2'), 'Copy save'), null);
+    });
+});
+
+test('maxCount keeps only the newest backups', () => {
+    withBackupDir((manager, savePath) => {
+        manager.setRetention({ maxCount: 2, maxAgeDays: 0 });
+        const entries = [1, 2, 3].map(n => {
+            fs.writeFileSync(savePath, `save ${n}`);
+            return manager.createBackup(savePath, `Write ${n}`);
+        });
+
+        assert.deepStrictEqual(manager.listBackups().map(backup => backup.id), [entries[2].id, entries[1].id]);
+        assert.strictEqual(fs.existsSync(path.join(manager.backupDir, entries[0].fileName)), false);
+    });
+});
+
+test('maxAgeDays removes backups older than the limit', () => {
+    withBackupDir((manager, savePath) => {
+        const old = manager.createBackup(savePath, 'Old write');
+        const recent = manager.createBackup(savePath, 'Recent write');
+        ageBackup(manager, old, 10);
+        ageBackup(manager, recent, 2);
+
+        assert.strictEqual(manager.setRetention({ maxAgeDays: 5 }).maxAgeDays, 5);
+        assert.deepStrictEqual(manager.listBackups().map(backup => backup.id), [recent.id]);
+    });
+});
+
+test('a limit of 0 disables that rule', () => {
+    withBackupDir((manager, savePath) => {
+        const old = manager.createBackup(savePath, 'Old write');
+        ageBackup(manager, old, 400);
+
+        manager.setRetention({ maxCount: 0, maxAgeDays: 0 });
+        assert.strictEqual(manager.applyRetention(), 0);
+        assert.strictEqual(manager.listBackups().length, 1);
+    });
+});
+
+test('setRetention rejects limits that are not whole numbers of 0 or more', () => {
+    withBackupDir((manager) => {
+        assert.throws(() => manager.setRetention({ maxCount: -1 }), /maxCount must be a whole number/);
+        assert.throws(() => manager.setRetention({ maxAgeDays: 1.5 }), /maxAgeDays must be a whole number/);
+        assert.throws(() => manager.setRetention({ maxAgeDays: 'soon' }), /maxAgeDays must be a whole number/);
+        assert.deepStrictEqual(manager.getRetention(), BackupManager.DEFAULT_RETENTION);
+    });
+});
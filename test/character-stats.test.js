@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const { buildSaveFile } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+const STATS = { vigor: 40, mind: 20, endurance: 25, strength: 30, dexterity: 15, intelligence: 9, faith: 9, arcane: 7 };
+
+test('setCharacterStats writes the attributes, the level and u32 HP/FP/stamina', () => {
+    const file = buildSaveFile();
+
+    // HP above 65535 shows whether the upper half of the u32 is written too
+    const before = saveManager.getCharacterStats(file, 0);
+    before.hpOffsets.forEach(offset => file.writeUInt32LE(0x12345, offset));
+
+    const output = saveManager.setCharacterStats(file, 0, STATS, { godMode: true });
+    const { playerGameData } = saveManager.parseCharacterSlot(output, 0);
+
+    assert.deepStrictEqual(playerGameData.stats, STATS);
+    assert.strictEqual(playerGameData.level, 76);
+    assert.strictEqual(playerGameData.valid, true);
+    assert.deepStrictEqual(playerGameData.health, [60000, 60000, 60000]);
+    assert.deepStrictEqual(playerGameData.fp, [60000, 60000, 60000]);
+    assert.deepStrictEqual(playerGameData.stamina, [60000, 60000, 60000]);
+
+    const header = saveManager.parseSaveFile(output).profile.summaries[0];
+    assert.strictEqual(header.characterLevel, 76);
+});
+
+test('setCharacterStats ignores properties that are not attributes', () => {
+    const output = saveManager.setCharacterStats(buildSaveFile(), 0, { ...STATS, level: 500 });
+    assert.strictEqual(saveManager.parseCharacterSlot(output, 0).playerGameData.level, 76);
+});
+
+test('setCharacterStats rejects attributes outside 1-99', () => {
+    const file = buildSaveFile();
+    assert.throws(() => saveManager.setCharacterStats(file, 0, { ...STATS, vigor: 0 }), /vigor must be/);
+    assert.throws(() => saveManager.setCharacterStats(file, 0, { ...STATS, arcane: 100 }), /arcane must be/);
+    assert.throws(() => saveManager.setCharacterStats(file, 0, { ...STATS, faith: undefined }), /faith must be/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const itemDatabase = require('../item-database');
+const { buildSaveFile } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+test('the item database has ammunition for every arrow and bolt slot', () => {
+    for (const group of ['Arrows', 'Greatarrows', 'Bolts', 'Greatbolts']) {
+        assert.ok(itemDatabase.ITEMS.some(entry => entry.group === group), `no ${group}`);
+    }
+});
+
+test('arrows and bolts are offered only to their own equipment slots', () => {
+    let file = buildSaveFile();
+    file = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 1000000 });
+    file = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 50000000, quantity: 50 });
+    file = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 51000000, quantity: 5 });
+    file = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 52000000, quantity: 30 });
+
+    const { equipment } = saveManager.getEquipment(file, 0);
+    const names = slotName => equipment[slotName].candidates.map(candidate => candidate.name).sort();
+
+    assert.deepStrictEqual(names('arrows1'), ['Arrow', 'Great Arrow']);
+    assert.deepStrictEqual(names('arrows2'), ['Arrow', 'Great Arrow']);
+    assert.deepStrictEqual(names('bolts1'), ['Bolt']);
+    assert.deepStrictEqual(names('rightHand1'), ['Dagger']);
+});
+
+test('ammunition stacks and cannot be upgraded', () => {
+    let file = buildSaveFile();
+    file = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 50000000, quantity: 99 });
+    const arrow = saveManager.getInventory(file, 0).held.find(entry => entry.name === 'Arrow');
+
+    assert.strictEqual(arrow.quantity, 99);
+    assert.strictEqual(arrow.upgradeLevel, undefined);
+    assert.throws(
+        () => saveManager.setWeaponProperties(file, 0, { handle: arrow.handle, upgradeLevel: 1 }),
+        /Arrow cannot be upgraded/
+    );
+});
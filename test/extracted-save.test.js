@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const { buildSaveFile } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+const firstSave = () => saveManager.parseSaveFile(buildSaveFile(), 'ER0000.sl2').saves[0];
+
+test('a version 2 .er file round trips with its metadata', async () => {
+    const save = firstSave();
+    const { data } = await saveManager.buildExtractedSave(save, { steamId: '76561198000000001', note: 'before Margit' });
+    const loaded = await saveManager.parseExtractedSave(data, 'Tarnished.er');
+
+    assert.strictEqual(loaded.formatVersion, 2);
+    assert.strictEqual(loaded.metadata.characterName, 'Tarnished');
+    assert.strictEqual(loaded.metadata.note, 'before Margit');
+    assert.strictEqual(loaded.saveHeaderInfo.characterLevel, 9);
+    assert.ok(loaded.saveData.equals(Buffer.from(save.saveData)));
+});
+
+test('a version 1 .er file is read as a bare zstd stream', async () => {
+    const save = firstSave();
+    await saveManager.initZstd();
+    const payload = Buffer.concat([Buffer.from(save.headerData), Buffer.from(save.saveDataChecksum), Buffer.from(save.saveData)]);
+    const data = Buffer.from(saveManager.zstd.compress(payload, 8));
+
+    const loaded = await saveManager.parseExtractedSave(data, 'Tarnished.er');
+
+    assert.strictEqual(loaded.formatVersion, 1);
+    assert.strictEqual(loaded.metadata, null);
+    assert.strictEqual(loaded.saveHeaderInfo.characterName, 'Tarnished');
+});
+
+test('an ERSM header with a format version below 2 or above the current one is rejected', async () => {
+    const { data } = await saveManager.buildExtractedSave(firstSave(), {});
+
+    for (const version of [0, 1, 3]) {
+        const copy = Buffer.from(data);
+        copy.writeUInt32LE(version, 4);
+        await assert.rejects(saveManager.parseExtractedSave(copy, 'Tarnished.er'), new RegExp(`format version ${version},`));
+    }
+});
+
+test('a version 2 file whose payload does not match its SHA-256 is rejected', async () => {
+    const { data } = await saveManager.buildExtractedSave(firstSave(), {});
+    const metadataLength = data.readUInt32LE(8);
+    data[12 + metadataLength] ^= 0xFF;
+
+    await assert.rejects(saveManager.parseExtractedSave(data, 'Tarnished.er'), /SHA-256/);
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+// Section sizes of a PC save, checksum included
+const SLOT_LENGTH = 0x280010;
+const PROFILE_LENGTH = 0x60010;
+const REGULATION_LENGTH = 0x240010;
+
+const STEAM_ID = 76561198000000001n;
+
+// Steam ID field of a version 0xC9 slot whose size-prefixed world blocks are empty, after the slot checksum
+const SLOT_STEAM_ID_OFFSET = 0x215C7A;
+
+// Offsets inside the profile section, after its checksum
+const PROFILE_STEAM_ID_OFFSET = 0x4;
+const ACTIVE_SLOT_OFFSET = 0x1954;
+const SLOT_HEADER_OFFSET = 0x195E;
+const SLOT_HEADER_LENGTH = 588;
+
+/**
+ * Build a BND4 save file shaped like an Elden Ring .sl2 with hand-written characters
+ * @param {Object} options
+ * @param {Array<Object>} options.characters - { slot, name, level, stats } for each occupied slot
+ * @param {number} options.dataGap - Padding bytes left between entries, to check the serializer keeps them
+ * @param {Buffer} options.trailingBytes - Bytes appended after the last entry
+ * @returns {Buffer} Save file bytes
+ */
+function buildSaveFile(options = {}) {
+    const {
+        characters = [
+            { slot: 0, name: 'Tarnished', level: 9, stats: [15, 10, 11, 14, 13, 9, 9, 7] },
+            { slot: 3, name: 'Melina', level: 20, stats: [20, 12, 15, 14, 13, 9, 9, 7] }
+        ],
+        dataGap = 0,
+        trailingBytes = Buffer.alloc(0)
+    } = options;
+
+    const sizes = [...Array(10).fill(SLOT_LENGTH), PROFILE_LENGTH, REGULATION_LENGTH];
+    let position = 0x300;
+    const offsets = sizes.map(size => {
+        const offset = position;
+        position += size + dataGap;
+        return offset;
+    });
+
+    const buffer = Buffer.alloc(position + trailingBytes.length);
+    trailingBytes.copy(buffer, position);
+
+    // BND4 header: 12 entries, 0x20 byte file headers, format 0x20 with unicode names
+    buffer.write('BND4', 0, 'ascii');
+    buffer[0x0A] = 1;
+    buffer.writeInt32LE(sizes.length, 0x0C);
+    buffer.writeBigInt64LE(0x40n, 0x10);
+    buffer.write('00000001', 0x18, 'ascii');
+    buffer.writeBigInt64LE(0x20n, 0x20);
+    buffer.writeBigInt64LE(0x2F8n, 0x28);
+    buffer[0x30] = 1;
+    buffer[0x31] = 0x20;
+
+    let nameOffset = 0x1C0;
+    sizes.forEach((size, i) => {
+        const header = 0x40 + i * 0x20;
+        buffer[header] = 0x50;
+        buffer.writeInt32LE(-1, header + 4);
+        buffer.writeBigInt64LE(BigInt(size), header + 8);
+        buffer.writeInt32LE(offsets[i], header + 16);
+        buffer.writeInt32LE(nameOffset, header + 20);
+
+        const name = Buffer.from(`USER_DATA${String(i).padStart(3, '0')}\0`, 'utf16le');
+        name.copy(buffer, nameOffset);
+        nameOffset += name.length;
+    });
+
+    // Bytes in the padding between entries must survive a round trip as well
+    if (dataGap > 0) {
+        offsets.forEach((offset, i) => buffer.fill(0xEE, offset + sizes[i], offset + sizes[i] + dataGap));
+    }
+
+    const profile = offsets[10] + 16;
+    buffer.writeBigInt64LE(STEAM_ID, profile + PROFILE_STEAM_ID_OFFSET);
+
+    for (const character of characters) {
+        writeCharacter(buffer, offsets[character.slot] + 16, profile, character);
+    }
+
+    for (let i = 0; i < 11; i++) {
+        const start = offsets[i] + 16;
+        crypto.createHash('md5').update(buffer.slice(start, offsets[i] + sizes[i])).digest().copy(buffer, offsets[i]);
+    }
+
+    return buffer;
+}
+
+/**
+ * Write a minimal character: an empty gaitem map, PlayerGameData and a load screen header
+ */
+function writeCharacter(buffer, base, profile, { slot, name, level, stats }) {
+    buffer.writeUInt32LE(0xC9, base);
+
+    // Gaitem map of 0x1400 entries: one weapon, one armor piece, one talisman, the rest empty
+    let offset = base + 0x20;
+    for (let i = 0; i < 0x1400; i++) {
+        if (i === 0) {
+            buffer.writeUInt32LE(0x80800000, offset);
+            buffer.writeUInt32LE(9000000 + 305, offset + 4);
+            buffer.writeUInt32LE(0xC0800001, offset + 16);
+            offset += 21;
+        } else if (i === 1) {
+            buffer.writeUInt32LE(0x90800001, offset);
+            buffer.writeUInt32LE((0x10000000 | 40000) >>> 0, offset + 4);
+            offset += 16;
+        } else if (i === 2) {
+            buffer.writeUInt32LE(0xC0800001, offset);
+            buffer.writeUInt32LE((0x80000000 | 10000) >>> 0, offset + 4);
+            offset += 8;
+        } else {
+            offset += 8;
+        }
+    }
+
+    // PlayerGameData: HP/FP/stamina, attributes, level, runes and name
+    const playerGameData = offset;
+    const hp = 1000 + level;
+    [hp, hp, hp, 100, 100, 100, 0, 90, 90, 90].forEach((value, i) => {
+        buffer.writeUInt32LE(value, playerGameData + 8 + i * 4);
+    });
+    stats.forEach((value, i) => buffer.writeUInt32LE(value, playerGameData + 0x34 + i * 4));
+    buffer.writeUInt32LE(level, playerGameData + 0x60);
+    buffer.writeUInt32LE(12345, playerGameData + 0x64);
+    buffer.writeUInt32LE(67890, playerGameData + 0x68);
+    Buffer.from(name, 'utf16le').copy(buffer, playerGameData + 0x94);
+    buffer[playerGameData + 0xB6] = 1;
+
+    buffer.writeBigInt64LE(STEAM_ID, base + SLOT_STEAM_ID_OFFSET);
+
+    // Load screen summary in the profile section
+    const header = profile + SLOT_HEADER_OFFSET + slot * SLOT_HEADER_LENGTH;
+    Buffer.from(name, 'utf16le').copy(buffer, header);
+    buffer.writeUInt32LE(level, header + 34);
+    buffer.writeUInt32LE(3600 + slot, header + 38);
+    buffer.writeUInt32LE(67890, header + 42);
+    buffer[profile + ACTIVE_SLOT_OFFSET + slot] = 1;
+}
+
+module.exports = {
+    buildSaveFile,
+    SLOT_LENGTH,
+    PROFILE_LENGTH,
+    STEAM_ID,
+    SLOT_STEAM_ID_OFFSET
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OperationJournal = require('../operation-journal');
+
+// Three 4KB blocks with a change in the first and last, so two separate regions are recorded
+const buildVersions = () => {
+    const before = Buffer.alloc(3 * 4096, 0x11);
+    const after = Buffer.from(before);
+    after[10] = 0x22;
+    after[2 * 4096 + 5] = 0x33;
+    return { before, after };
+};
+
+test('record stores only the changed blocks', () => {
+    const journal = new OperationJournal();
+    const { before, after } = buildVersions();
+    const entry = journal.record('ER0000.sl2', 'Edit stats', before, after);
+
+    assert.deepStrictEqual(entry.regions.map(region => region.offset), [0, 2 * 4096]);
+    assert.strictEqual(entry.size, 4 * 4096);
+    assert.strictEqual(journal.record('ER0000.sl2', 'Edit stats', before, Buffer.from(before)), null);
+});
+
+test('revert and reapply move a file between its two states', () => {
+    const journal = new OperationJournal();
+    const { before, after } = buildVersions();
+    journal.record('ER0000.sl2', 'Edit stats', before, after);
+
+    const entry = journal.peekUndo();
+    const reverted = journal.revert(entry, after);
+    assert.ok(reverted.equals(before));
+    assert.strictEqual(journal.completeUndo(), entry);
+    assert.strictEqual(journal.peekUndo(), null);
+
+    assert.strictEqual(journal.peekRedo(), entry);
+    assert.ok(journal.reapply(entry, reverted).equals(after));
+    assert.strictEqual(journal.completeRedo(), entry);
+    assert.strictEqual(journal.peekRedo(), null);
+});
+
+test('a write that changes the file length is stored whole', () => {
+    const journal = new OperationJournal();
+    const before = Buffer.from('short');
+    const after = Buffer.from('a longer file');
+    const entry = journal.record('ER0000.sl2', 'Import save', before, after);
+
+    assert.strictEqual(entry.regions.length, 1);
+    assert.ok(journal.revert(entry, after).equals(before));
+    assert.ok(journal.reapply(entry, before).equals(after));
+});
+
+test('revert refuses a file that changed outside the journal', () => {
+    const journal = new OperationJournal();
+    const { before, after } = buildVersions();
+    const entry = journal.record('ER0000.sl2', 'Edit stats', before, after);
+
+    const edited = Buffer.from(after);
+    edited[2 * 4096 + 5] = 0x44;
+    assert.throws(() => journal.revert(entry, edited), /changed since "Edit stats", so it cannot be undone/);
+    assert.throws(() => journal.reapply(entry, after), /cannot be redone/);
+});
+
+test('recording a new operation clears redo and old entries are trimmed', () => {
+    const journal = new OperationJournal({ maxEntries: 2 });
+    const { before, after } = buildVersions();
+    const first = journal.record('ER0000.sl2', 'First', before, after);
+    journal.completeUndo();
+    journal.record('ER0000.sl2', 'Second', before, after);
+    assert.strictEqual(journal.peekRedo(), null);
+
+    journal.record('ER0000.sl2', 'Third', after, before);
+    journal.record('ER0000.sl2', 'Fourth', before, after);
+    assert.deepStrictEqual(journal.undoStack.map(entry => entry.operation), ['Third', 'Fourth']);
+    assert.ok(!journal.undoStack.includes(first));
+});
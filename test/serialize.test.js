@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const EldenRingSaveManager = require('../save-manager');
+const { buildSaveFile, SLOT_LENGTH } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+test('serialize(parse(file)) returns the file unchanged', () => {
+    const file = buildSaveFile();
+    const output = saveManager.serializeSaveFile(saveManager.parseSaveFile(Buffer.from(file)));
+    assert.ok(output.equals(file));
+});
+
+test('padding between entries and trailing bytes survive a round trip', () => {
+    const file = buildSaveFile({ dataGap: 0x30, trailingBytes: Buffer.from('trailing data') });
+    const output = saveManager.serializeSaveFile(saveManager.parseSaveFile(Buffer.from(file)));
+    assert.ok(output.equals(file));
+});
+
+test('replacing an entry keeps every other byte in place', () => {
+    const file = buildSaveFile({ dataGap: 0x30 });
+    const saveFile = saveManager.parseSaveFile(Buffer.from(file));
+
+    const slot = saveFile.gameFiles[5];
+    const offset = Number(slot.header.dataOffset);
+    slot.data = Buffer.alloc(SLOT_LENGTH, 0x11);
+
+    const output = saveManager.serializeSaveFile(saveFile);
+    assert.strictEqual(output.length, file.length);
+    assert.ok(output.slice(offset, offset + SLOT_LENGTH).equals(slot.data));
+    assert.ok(output.slice(0, offset).equals(file.slice(0, offset)));
+    assert.ok(output.slice(offset + SLOT_LENGTH).equals(file.slice(offset + SLOT_LENGTH)));
+});
+
+test('a rebuilt container has the BND4 header and file table of a game save', () => {
+    const file = buildSaveFile();
+    const saveFile = saveManager.parseSaveFile(Buffer.from(file));
+
+    // Without the original buffer the serializer has to lay out the whole container again
+    const output = saveManager.serializeSaveFile({ ...saveFile, buffer: null });
+    assert.ok(output.equals(file));
+
+    assert.strictEqual(output.toString('ascii', 0, 4), 'BND4');
+    assert.strictEqual(output.readInt32LE(0x0C), 12);
+    assert.strictEqual(output.readBigInt64LE(0x10), 0x40n);
+    assert.strictEqual(output.readBigInt64LE(0x20), 0x20n);
+    assert.strictEqual(output.readBigInt64LE(0x28), 0x2F8n);
+    assert.deepStrictEqual([output[0x30], output[0x31]], [1, 0x20]);
+
+    // Ten character slots, the profile and the regulation data, packed from 0x300 in that order
+    const reparsed = saveManager.parseSaveFile(output);
+    let dataOffset = 0x300;
+    for (let i = 0; i < 12; i++) {
+        const header = 0x40 + i * 0x20;
+        const size = Number(output.readBigInt64LE(header + 8));
+        assert.strictEqual(output.readInt32LE(header + 16), dataOffset);
+        assert.strictEqual(reparsed.gameFiles[i].header.name, `USER_DATA${String(i).padStart(3, '0')}`);
+        if (i < 10) {
+            assert.strictEqual(size, SLOT_LENGTH);
+        }
+        dataOffset += size;
+    }
+    assert.strictEqual(output.length, dataOffset);
+});
+
+test('a resized entry is laid out again and trailing bytes are kept', () => {
+    const trailingBytes = Buffer.from('trailing data');
+    const file = buildSaveFile({ trailingBytes });
+    const saveFile = saveManager.parseSaveFile(Buffer.from(file));
+
+    const regulation = saveFile.gameFiles[11];
+    regulation.data = Buffer.concat([regulation.data, Buffer.alloc(0x100)]);
+
+    const output = saveManager.serializeSaveFile(saveFile);
+    assert.strictEqual(output.length, file.length + 0x100);
+    assert.ok(output.slice(-trailingBytes.length).equals(trailingBytes));
+
+    const reparsed = saveManager.parseSaveFile(output);
+    assert.strictEqual(reparsed.gameFiles[11].data.length, regulation.data.length);
+    assert.deepStrictEqual(reparsed.saves.map(save => save.index), saveFile.saves.map(save => save.index));
+});
+
+test('copySave writes the slot and keeps the rest of the container', () => {
+    const file = buildSaveFile();
+    const saveFile = saveManager.parseSaveFile(Buffer.from(file));
+    const source = saveFile.saves.find(save => save.index === 3);
+
+    const output = saveManager.copySave(source, saveFile, 7);
+    const copied = saveManager.parseSaveFile(output).saves.find(save => save.index === 7);
+
+    assert.strictEqual(output.length, file.length);
+    assert.strictEqual(copied.saveHeaderInfo.characterName, 'Melina');
+    assert.strictEqual(copied.saveHeaderInfo.characterName, source.saveHeaderInfo.characterName);
+    assert.ok(output.slice(0, 0x300).equals(file.slice(0, 0x300)));
+
+    const slot = saveManager.parseSaveFile(output).gameFiles[7];
+    const md5 = crypto.createHash('md5').update(slot.data.slice(16)).digest();
+    assert.ok(slot.data.slice(0, 16).equals(md5));
+});
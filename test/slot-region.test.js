@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const { buildSaveFile } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+// A 16 byte slot at offset 4 whose last four bytes are zero padding, surrounded by bytes that must not move
+const buildSlot = () => ({
+    buffer: Buffer.from([0xAA, 0xAA, 0xAA, 0xAA, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 0, 0, 0, 0, 0xBB, 0xBB]),
+    slot: { slotIndex: 0, dataOffset: 4, dataLength: 16 }
+});
+
+test('growing a region shifts later data into the padding', () => {
+    const { buffer, slot } = buildSlot();
+    saveManager.resizeSlotRegion(buffer, slot, 6, 2, Buffer.from([0xC1, 0xC2, 0xC3, 0xC4]));
+
+    assert.deepStrictEqual([...buffer], [
+        0xAA, 0xAA, 0xAA, 0xAA, 1, 2, 0xC1, 0xC2, 0xC3, 0xC4, 5, 6, 7, 8, 9, 10, 11, 12, 0, 0, 0xBB, 0xBB
+    ]);
+});
+
+test('shrinking a region shifts later data back and restores the padding', () => {
+    const { buffer, slot } = buildSlot();
+    saveManager.resizeSlotRegion(buffer, slot, 6, 4, Buffer.from([0xC1]));
+
+    assert.deepStrictEqual([...buffer], [
+        0xAA, 0xAA, 0xAA, 0xAA, 1, 2, 0xC1, 7, 8, 9, 10, 11, 12, 0, 0, 0, 0, 0, 0, 0, 0xBB, 0xBB
+    ]);
+});
+
+test('a same-size region is overwritten in place', () => {
+    const { buffer, slot } = buildSlot();
+    saveManager.resizeSlotRegion(buffer, slot, 8, 2, Buffer.from([0xC1, 0xC2]));
+
+    assert.deepStrictEqual([...buffer], [
+        0xAA, 0xAA, 0xAA, 0xAA, 1, 2, 3, 4, 0xC1, 0xC2, 7, 8, 9, 10, 11, 12, 0, 0, 0, 0, 0xBB, 0xBB
+    ]);
+});
+
+test('growing past the free padding is rejected before anything moves', () => {
+    const { buffer, slot } = buildSlot();
+    const before = Buffer.from(buffer);
+
+    assert.throws(() => saveManager.resizeSlotRegion(buffer, slot, 6, 1, Buffer.alloc(6)), /no free space left/);
+    assert.ok(buffer.equals(before));
+});
+
+test('a gaitem added to a real slot keeps every later section readable', () => {
+    const file = buildSaveFile();
+    const before = saveManager.parseCharacterSlot(file, 0);
+
+    const output = saveManager.addInventoryItem(file, 0, { location: 'held', category: 'weapon', itemId: 2000000 });
+    const after = saveManager.parseCharacterSlot(output, 0);
+
+    // A free 8 byte entry became a 21 byte weapon entry
+    assert.strictEqual(after.playerGameData.offset, before.playerGameData.offset + 13);
+    assert.deepStrictEqual(after.playerGameData.stats, before.playerGameData.stats);
+    assert.strictEqual(after.sections.eventFlags.offset, before.sections.eventFlags.offset + 13);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const { buildSaveFile, STEAM_ID, SLOT_STEAM_ID_OFFSET } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+const NEW_STEAM_ID = 76561198000000042n;
+
+const slotSteamId = (buffer, slotIndex) => {
+    const slot = saveManager.getSaveLayout(buffer).slots[slotIndex];
+    return buffer.readBigUInt64LE(slot.dataOffset + SLOT_STEAM_ID_OFFSET);
+};
+
+test('readSteamIds reads the Steam ID field of every occupied slot', () => {
+    const { steamId, slots } = saveManager.readSteamIds(buildSaveFile());
+
+    assert.strictEqual(steamId, STEAM_ID.toString());
+    assert.deepStrictEqual(slots.filter(slot => slot.matchesProfile).map(slot => slot.index), [0, 3]);
+    assert.strictEqual(slots[3].steamId, STEAM_ID.toString());
+    assert.strictEqual(slots[1].steamId, null);
+});
+
+test('setSteamId writes the profile and slot fields and nothing else', () => {
+    const file = buildSaveFile();
+
+    // A copy of the old ID elsewhere in the slot is not a Steam ID field and must be left alone
+    const layout = saveManager.getSaveLayout(file);
+    const stray = layout.slots[0].dataOffset + 0x100000;
+    file.writeBigUInt64LE(STEAM_ID, stray);
+
+    const output = saveManager.setSteamId(file, NEW_STEAM_ID.toString());
+
+    assert.strictEqual(output.readBigUInt64LE(layout.steamIdOffset), NEW_STEAM_ID);
+    assert.strictEqual(slotSteamId(output, 0), NEW_STEAM_ID);
+    assert.strictEqual(slotSteamId(output, 3), NEW_STEAM_ID);
+    assert.strictEqual(output.readBigUInt64LE(stray), STEAM_ID);
+    assert.strictEqual(saveManager.verifySaveFile(output).valid, true);
+});
+
+test('setSteamId returns the same buffer when the Steam ID is already set', () => {
+    const file = buildSaveFile();
+    assert.strictEqual(saveManager.setSteamId(file, STEAM_ID.toString()), file);
+});
+
+test('setSteamId rejects a profile without a Steam ID', () => {
+    const file = buildSaveFile();
+    const layout = saveManager.getSaveLayout(file);
+    file.writeBigUInt64LE(0n, layout.steamIdOffset);
+
+    assert.throws(() => saveManager.setSteamId(file, NEW_STEAM_ID.toString()), /no Steam ID to replace/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EldenRingSaveManager = require('../save-manager');
+const itemDatabase = require('../item-database');
+const { buildSaveFile } = require('./helpers/synthetic-save');
+
+const saveManager = new EldenRingSaveManager();
+
+const AFFINITY = name => itemDatabase.AFFINITIES.indexOf(name);
+
+// A slot with a Longsword, a Dagger and three free Ashes of War
+const buildWeaponSlot = () => {
+    let file = buildSaveFile();
+    const add = (category, itemId) => {
+        file = saveManager.addInventoryItem(file, 0, { location: 'held', category, itemId });
+    };
+    add('weapon', 2000000);
+    add('weapon', 1000000);
+    add('ashOfWar', 10000);
+    add('ashOfWar', 11200);
+    add('ashOfWar', 11300);
+
+    const held = saveManager.getInventory(file, 0).held;
+    const handle = name => held.find(entry => entry.name === name).handle;
+    return { file, handle };
+};
+
+test('an Ash of War is rejected on a weapon group it does not fit', () => {
+    const { file, handle } = buildWeaponSlot();
+    assert.throws(
+        () => saveManager.setWeaponProperties(file, 0, { handle: handle('Dagger'), aowHandle: handle("Ash of War: Lion's Claw") }),
+        /Lion's Claw cannot be applied to Daggers/
+    );
+
+    const output = saveManager.setWeaponProperties(file, 0, { handle: handle('Dagger'), aowHandle: handle('Ash of War: Double Slash') });
+    assert.strictEqual(saveManager.getWeaponDetails(output, 0, handle('Dagger')).aowName, 'Ash of War: Double Slash');
+});
+
+test('an affinity the Ash of War does not allow is rejected', () => {
+    const { file, handle } = buildWeaponSlot();
+    const prelate = handle("Ash of War: Prelate's Charge");
+
+    assert.throws(
+        () => saveManager.setWeaponProperties(file, 0, { handle: handle('Longsword'), aowHandle: prelate, affinity: AFFINITY('Magic') }),
+        /does not allow the Magic affinity/
+    );
+
+    // Changing only the affinity is checked against the Ash already attached
+    const withAsh = saveManager.setWeaponProperties(file, 0, { handle: handle('Longsword'), aowHandle: prelate, affinity: AFFINITY('Fire') });
+    assert.throws(
+        () => saveManager.setWeaponProperties(withAsh, 0, { handle: handle('Longsword'), affinity: AFFINITY('Cold') }),
+        /does not allow the Cold affinity/
+    );
+});
+
+test('getWeaponDetails marks which Ashes of War fit the weapon', () => {
+    const { file, handle } = buildWeaponSlot();
+    const { ashesOfWar } = saveManager.getWeaponDetails(file, 0, handle('Dagger'));
+    const fits = Object.fromEntries(ashesOfWar.map(ash => [ash.name, ash.fitsWeapon]));
+
+    assert.deepStrictEqual(fits, {
+        "Ash of War: Lion's Claw": false,
+        'Ash of War: Double Slash': true,
+        "Ash of War: Prelate's Charge": false
+    });
+});